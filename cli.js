@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// Runs a scenario file through the calculation engine and prints the results.
+//
+//   node cli.js <scenario.json> [--format table|json]
+//
+// The file is a scenario state ({ version, fields, matchTiers }) or a report exported from the
+// page as JSON, whose `inputs` hold the state.
+import { readFileSync } from 'node:fs';
+import { runScenario, toScenarioInputs, ScenarioReport, SCENARIO_STATE_VERSION, SCENARIO_FIELDS } from './engine.js';
+
+const FORMATS = ['table', 'json'];
+const USAGE = 'Usage: node cli.js <scenario.json> [--format table|json]';
+
+function parseArgs(args) {
+    const options = { file: null, format: 'table' };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--format' || arg.startsWith('--format=')) {
+            options.format = arg.includes('=') ? arg.slice('--format='.length) : args[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            options.file = arg;
+        }
+    }
+    return options;
+}
+
+// Accepts a bare state or an exported report, and rejects states from another version or with
+// missing fields rather than guessing values the page would have filled in
+function readScenarioState(file) {
+    const contents = JSON.parse(readFileSync(file, 'utf8'));
+    const state = contents.fields ? contents : contents.inputs;
+    if (!state?.fields) {
+        throw new Error(`${file} is not a scenario state or an exported report`);
+    }
+    if (state.version !== SCENARIO_STATE_VERSION) {
+        throw new Error(`${file} is a version ${state.version} scenario; this calculator reads version ${SCENARIO_STATE_VERSION}`);
+    }
+    const missing = SCENARIO_FIELDS.filter(field => !(field in state.fields));
+    if (missing.length) {
+        throw new Error(`${file} is missing ${missing.join(', ')}`);
+    }
+    return state;
+}
+
+function main(args) {
+    const options = parseArgs(args);
+    if (options.help || !options.file) {
+        console.log(USAGE);
+        return options.help ? 0 : 1;
+    }
+    if (!FORMATS.includes(options.format)) {
+        console.error(`Unknown format "${options.format}". ${USAGE}`);
+        return 1;
+    }
+
+    let state;
+    try {
+        state = readScenarioState(options.file);
+    } catch (error) {
+        console.error(error.message);
+        return 1;
+    }
+
+    const inputs = toScenarioInputs(state);
+    const report = ScenarioReport.build(state, inputs, runScenario(inputs));
+    process.stdout.write(options.format === 'json' ? `${ScenarioReport.toJson(report)}\n` : ScenarioReport.toTable(report));
+    return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,102 @@
+// Annual total returns (%) of US large-cap stocks (S&P 500, dividends reinvested) and 10-year
+// US Treasury bonds, 1928-2024. Source: Aswath Damodaran, "Historical Returns on Stocks, Bonds
+// and Bills: 1928-2024", NYU Stern School of Business. Rounded to two decimals.
+export const HISTORICAL_RETURNS = [
+    { year: 1928, stocks: 43.81, bonds: 0.84 },
+    { year: 1929, stocks: -8.30, bonds: 4.20 },
+    { year: 1930, stocks: -25.12, bonds: 4.54 },
+    { year: 1931, stocks: -43.84, bonds: -2.56 },
+    { year: 1932, stocks: -8.64, bonds: 8.79 },
+    { year: 1933, stocks: 49.98, bonds: 1.86 },
+    { year: 1934, stocks: -1.19, bonds: 7.96 },
+    { year: 1935, stocks: 46.74, bonds: 4.47 },
+    { year: 1936, stocks: 31.94, bonds: 5.02 },
+    { year: 1937, stocks: -35.34, bonds: 1.38 },
+    { year: 1938, stocks: 29.28, bonds: 4.21 },
+    { year: 1939, stocks: -1.10, bonds: 4.41 },
+    { year: 1940, stocks: -10.67, bonds: 5.40 },
+    { year: 1941, stocks: -12.77, bonds: -2.02 },
+    { year: 1942, stocks: 19.17, bonds: 2.29 },
+    { year: 1943, stocks: 25.06, bonds: 2.49 },
+    { year: 1944, stocks: 19.03, bonds: 2.58 },
+    { year: 1945, stocks: 35.82, bonds: 3.80 },
+    { year: 1946, stocks: -8.43, bonds: 3.13 },
+    { year: 1947, stocks: 5.20, bonds: 0.92 },
+    { year: 1948, stocks: 5.70, bonds: 1.95 },
+    { year: 1949, stocks: 18.30, bonds: 4.66 },
+    { year: 1950, stocks: 30.81, bonds: 0.43 },
+    { year: 1951, stocks: 23.68, bonds: -0.30 },
+    { year: 1952, stocks: 18.15, bonds: 2.27 },
+    { year: 1953, stocks: -1.21, bonds: 4.14 },
+    { year: 1954, stocks: 52.56, bonds: 3.29 },
+    { year: 1955, stocks: 32.60, bonds: -1.34 },
+    { year: 1956, stocks: 7.44, bonds: -2.26 },
+    { year: 1957, stocks: -10.46, bonds: 6.80 },
+    { year: 1958, stocks: 43.72, bonds: -2.10 },
+    { year: 1959, stocks: 12.06, bonds: -2.65 },
+    { year: 1960, stocks: 0.34, bonds: 11.64 },
+    { year: 1961, stocks: 26.64, bonds: 2.06 },
+    { year: 1962, stocks: -8.81, bonds: 5.69 },
+    { year: 1963, stocks: 22.61, bonds: 1.68 },
+    { year: 1964, stocks: 16.42, bonds: 3.73 },
+    { year: 1965, stocks: 12.40, bonds: 0.72 },
+    { year: 1966, stocks: -9.97, bonds: 2.91 },
+    { year: 1967, stocks: 23.80, bonds: -1.58 },
+    { year: 1968, stocks: 10.81, bonds: 3.27 },
+    { year: 1969, stocks: -8.24, bonds: -5.01 },
+    { year: 1970, stocks: 3.56, bonds: 16.75 },
+    { year: 1971, stocks: 14.22, bonds: 9.79 },
+    { year: 1972, stocks: 18.76, bonds: 2.82 },
+    { year: 1973, stocks: -14.31, bonds: 3.66 },
+    { year: 1974, stocks: -25.90, bonds: 1.99 },
+    { year: 1975, stocks: 37.00, bonds: 3.61 },
+    { year: 1976, stocks: 23.83, bonds: 15.98 },
+    { year: 1977, stocks: -6.98, bonds: 1.29 },
+    { year: 1978, stocks: 6.51, bonds: -0.78 },
+    { year: 1979, stocks: 18.52, bonds: 0.67 },
+    { year: 1980, stocks: 31.74, bonds: -2.99 },
+    { year: 1981, stocks: -4.70, bonds: 8.20 },
+    { year: 1982, stocks: 20.42, bonds: 32.81 },
+    { year: 1983, stocks: 22.34, bonds: 3.20 },
+    { year: 1984, stocks: 6.15, bonds: 13.73 },
+    { year: 1985, stocks: 31.24, bonds: 25.71 },
+    { year: 1986, stocks: 18.49, bonds: 24.28 },
+    { year: 1987, stocks: 5.81, bonds: -4.96 },
+    { year: 1988, stocks: 16.54, bonds: 8.22 },
+    { year: 1989, stocks: 31.48, bonds: 17.69 },
+    { year: 1990, stocks: -3.06, bonds: 6.24 },
+    { year: 1991, stocks: 30.23, bonds: 15.00 },
+    { year: 1992, stocks: 7.49, bonds: 9.36 },
+    { year: 1993, stocks: 9.97, bonds: 14.21 },
+    { year: 1994, stocks: 1.33, bonds: -8.04 },
+    { year: 1995, stocks: 37.20, bonds: 23.48 },
+    { year: 1996, stocks: 22.68, bonds: 1.43 },
+    { year: 1997, stocks: 33.10, bonds: 9.94 },
+    { year: 1998, stocks: 28.34, bonds: 14.92 },
+    { year: 1999, stocks: 20.89, bonds: -8.25 },
+    { year: 2000, stocks: -9.03, bonds: 16.66 },
+    { year: 2001, stocks: -11.85, bonds: 5.57 },
+    { year: 2002, stocks: -21.97, bonds: 15.12 },
+    { year: 2003, stocks: 28.36, bonds: 0.38 },
+    { year: 2004, stocks: 10.74, bonds: 4.49 },
+    { year: 2005, stocks: 4.83, bonds: 2.87 },
+    { year: 2006, stocks: 15.61, bonds: 1.96 },
+    { year: 2007, stocks: 5.48, bonds: 10.21 },
+    { year: 2008, stocks: -36.55, bonds: 20.10 },
+    { year: 2009, stocks: 25.94, bonds: -11.12 },
+    { year: 2010, stocks: 14.82, bonds: 8.46 },
+    { year: 2011, stocks: 2.10, bonds: 16.04 },
+    { year: 2012, stocks: 15.89, bonds: 2.97 },
+    { year: 2013, stocks: 32.15, bonds: -9.10 },
+    { year: 2014, stocks: 13.52, bonds: 10.75 },
+    { year: 2015, stocks: 1.38, bonds: 1.28 },
+    { year: 2016, stocks: 11.77, bonds: 0.69 },
+    { year: 2017, stocks: 21.61, bonds: 2.80 },
+    { year: 2018, stocks: -4.23, bonds: -0.02 },
+    { year: 2019, stocks: 31.21, bonds: 9.64 },
+    { year: 2020, stocks: 18.02, bonds: 11.33 },
+    { year: 2021, stocks: 28.47, bonds: -4.42 },
+    { year: 2022, stocks: -18.04, bonds: -17.83 },
+    { year: 2023, stocks: 26.06, bonds: 3.88 },
+    { year: 2024, stocks: 24.88, bonds: -1.64 }
+];
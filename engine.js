@@ -0,0 +1,3375 @@
+// Calculation engine: tax tables, the scenario model, retirement planning and simulations. It has no
+// DOM dependencies, so the page and the command line (cli.js) run the same numbers.
+import { HISTORICAL_RETURNS } from './data/historical-returns.js';
+
+// Federal tax tables and contribution limits by tax year. Bracket tables are keyed by filing
+// status; California taxes married-separate filers on the single schedule, so its tables omit it.
+// Years after the last entry are projected by TaxYearData using an inflation-indexing rule, and
+// `states` holds per-year overrides of STATE_TAX_REGISTRY (whose base figures are for 2024).
+const TAX_YEARS = {
+    2023: {
+        federal: {
+            brackets: {
+                single: [
+                    { min: 0, max: 11000, rate: 0.10 },
+                    { min: 11000, max: 44725, rate: 0.12 },
+                    { min: 44725, max: 95375, rate: 0.22 },
+                    { min: 95375, max: 182100, rate: 0.24 },
+                    { min: 182100, max: 231250, rate: 0.32 },
+                    { min: 231250, max: 578125, rate: 0.35 },
+                    { min: 578125, max: Infinity, rate: 0.37 }
+                ],
+                marriedJointly: [
+                    { min: 0, max: 22000, rate: 0.10 },
+                    { min: 22000, max: 89450, rate: 0.12 },
+                    { min: 89450, max: 190750, rate: 0.22 },
+                    { min: 190750, max: 364200, rate: 0.24 },
+                    { min: 364200, max: 462500, rate: 0.32 },
+                    { min: 462500, max: 693750, rate: 0.35 },
+                    { min: 693750, max: Infinity, rate: 0.37 }
+                ],
+                marriedSeparately: [
+                    { min: 0, max: 11000, rate: 0.10 },
+                    { min: 11000, max: 44725, rate: 0.12 },
+                    { min: 44725, max: 95375, rate: 0.22 },
+                    { min: 95375, max: 182100, rate: 0.24 },
+                    { min: 182100, max: 231250, rate: 0.32 },
+                    { min: 231250, max: 346875, rate: 0.35 },
+                    { min: 346875, max: Infinity, rate: 0.37 }
+                ],
+                headOfHousehold: [
+                    { min: 0, max: 15700, rate: 0.10 },
+                    { min: 15700, max: 59850, rate: 0.12 },
+                    { min: 59850, max: 95350, rate: 0.22 },
+                    { min: 95350, max: 182100, rate: 0.24 },
+                    { min: 182100, max: 231250, rate: 0.32 },
+                    { min: 231250, max: 578100, rate: 0.35 },
+                    { min: 578100, max: Infinity, rate: 0.37 }
+                ]
+            },
+            standardDeduction: { single: 13850, marriedJointly: 27700, marriedSeparately: 13850, headOfHousehold: 20800 },
+            // Long-term capital gains and qualified dividends, stacked on top of ordinary taxable income
+            capitalGainsBrackets: {
+                single: [{ min: 0, max: 44625, rate: 0 }, { min: 44625, max: 492300, rate: 0.15 }, { min: 492300, max: Infinity, rate: 0.20 }],
+                marriedJointly: [{ min: 0, max: 89250, rate: 0 }, { min: 89250, max: 553850, rate: 0.15 }, { min: 553850, max: Infinity, rate: 0.20 }],
+                marriedSeparately: [{ min: 0, max: 44625, rate: 0 }, { min: 44625, max: 276900, rate: 0.15 }, { min: 276900, max: Infinity, rate: 0.20 }],
+                headOfHousehold: [{ min: 0, max: 59750, rate: 0 }, { min: 59750, max: 523050, rate: 0.15 }, { min: 523050, max: Infinity, rate: 0.20 }]
+            }
+        },
+        // Roth IRA contributions phase out across these MAGI ranges
+        rothIraPhaseOut: {
+            single: { start: 138000, end: 153000 },
+            marriedJointly: { start: 218000, end: 228000 },
+            marriedSeparately: { start: 0, end: 10000 },
+            headOfHousehold: { start: 138000, end: 153000 }
+        },
+        socialSecurityWageBase: 160200,
+        limits: {
+            employee401k: 22500, // Maximum employee contribution
+            total401k: 66000, // Maximum total contribution (employee + employer)
+            ira: 6500,
+            catchUp401k: 7500, // Age 50+
+            iraCatchUp: 1000,
+            hsaSelf: 3850, // HSA, self-only coverage (employee + employer)
+            hsaFamily: 7750
+        },
+        states: {
+            CA: {
+                brackets: {
+                    single: [
+                        { min: 0, max: 10412, rate: 0.01 },
+                        { min: 10412, max: 24684, rate: 0.02 },
+                        { min: 24684, max: 38959, rate: 0.04 },
+                        { min: 38959, max: 54081, rate: 0.06 },
+                        { min: 54081, max: 68350, rate: 0.08 },
+                        { min: 68350, max: 349137, rate: 0.093 },
+                        { min: 349137, max: 418961, rate: 0.103 },
+                        { min: 418961, max: 698271, rate: 0.113 },
+                        { min: 698271, max: Infinity, rate: 0.123 }
+                    ],
+                    marriedJointly: [
+                        { min: 0, max: 20824, rate: 0.01 },
+                        { min: 20824, max: 49368, rate: 0.02 },
+                        { min: 49368, max: 77918, rate: 0.04 },
+                        { min: 77918, max: 108162, rate: 0.06 },
+                        { min: 108162, max: 136700, rate: 0.08 },
+                        { min: 136700, max: 698274, rate: 0.093 },
+                        { min: 698274, max: 837922, rate: 0.103 },
+                        { min: 837922, max: 1396542, rate: 0.113 },
+                        { min: 1396542, max: Infinity, rate: 0.123 }
+                    ],
+                    headOfHousehold: [
+                        { min: 0, max: 20839, rate: 0.01 },
+                        { min: 20839, max: 49371, rate: 0.02 },
+                        { min: 49371, max: 63644, rate: 0.04 },
+                        { min: 63644, max: 78765, rate: 0.06 },
+                        { min: 78765, max: 93037, rate: 0.08 },
+                        { min: 93037, max: 474824, rate: 0.093 },
+                        { min: 474824, max: 569790, rate: 0.103 },
+                        { min: 569790, max: 949649, rate: 0.113 },
+                        { min: 949649, max: Infinity, rate: 0.123 }
+                    ]
+                },
+                standardDeduction: { single: 5363, marriedJointly: 10726, marriedSeparately: 5363, headOfHousehold: 10726 },
+                payrollTaxes: [{ name: 'CA SDI', rate: 0.009, wageBase: 153164 }]
+            },
+            NY: {
+                payrollTaxes: [
+                    { name: 'NY SDI', rate: 0.005, max: 31.20 },
+                    { name: 'NY PFL', rate: 0.00455, max: 423.71 }
+                ]
+            },
+            NJ: {
+                payrollTaxes: [{ name: 'NJ FLI', rate: 0.0006, wageBase: 156800 }]
+            },
+            IL: {
+                personalExemption: { single: 2425, marriedJointly: 4850, marriedSeparately: 2425, headOfHousehold: 2425 }
+            },
+            MA: {
+                surtax: { threshold: 1000000, rate: 0.04 },
+                payrollTaxes: [{ name: 'MA PFML', rate: 0.00318, wageBase: 160200 }]
+            },
+            CO: { rate: 0.044 },
+            // Georgia's graduated brackets and personal exemptions before the 2024 flat tax
+            GA: {
+                type: 'progressive',
+                brackets: {
+                    single: [
+                        { min: 0, max: 750, rate: 0.01 },
+                        { min: 750, max: 2250, rate: 0.02 },
+                        { min: 2250, max: 3750, rate: 0.03 },
+                        { min: 3750, max: 5250, rate: 0.04 },
+                        { min: 5250, max: 7000, rate: 0.05 },
+                        { min: 7000, max: Infinity, rate: 0.0575 }
+                    ],
+                    marriedJointly: [
+                        { min: 0, max: 1000, rate: 0.01 },
+                        { min: 1000, max: 3000, rate: 0.02 },
+                        { min: 3000, max: 5000, rate: 0.03 },
+                        { min: 5000, max: 7000, rate: 0.04 },
+                        { min: 7000, max: 10000, rate: 0.05 },
+                        { min: 10000, max: Infinity, rate: 0.0575 }
+                    ],
+                    marriedSeparately: [
+                        { min: 0, max: 500, rate: 0.01 },
+                        { min: 500, max: 1500, rate: 0.02 },
+                        { min: 1500, max: 2500, rate: 0.03 },
+                        { min: 2500, max: 3500, rate: 0.04 },
+                        { min: 3500, max: 5000, rate: 0.05 },
+                        { min: 5000, max: Infinity, rate: 0.0575 }
+                    ],
+                    headOfHousehold: [
+                        { min: 0, max: 1000, rate: 0.01 },
+                        { min: 1000, max: 3000, rate: 0.02 },
+                        { min: 3000, max: 5000, rate: 0.03 },
+                        { min: 5000, max: 7000, rate: 0.04 },
+                        { min: 7000, max: 10000, rate: 0.05 },
+                        { min: 10000, max: Infinity, rate: 0.0575 }
+                    ]
+                },
+                standardDeduction: { single: 5400, marriedJointly: 7100, marriedSeparately: 3550, headOfHousehold: 5400 },
+                personalExemption: { single: 2700, marriedJointly: 7400, marriedSeparately: 3700, headOfHousehold: 2700 }
+            },
+            NC: { rate: 0.0475 },
+            WA: {
+                payrollTaxes: [
+                    { name: 'WA PFML', rate: 0.005821, wageBase: 160200 },
+                    { name: 'WA Cares', rate: 0.0058 }
+                ]
+            }
+        }
+    },
+    2024: {
+        federal: {
+            brackets: {
+                single: [
+                    { min: 0, max: 11600, rate: 0.10 },
+                    { min: 11600, max: 47150, rate: 0.12 },
+                    { min: 47150, max: 100525, rate: 0.22 },
+                    { min: 100525, max: 191950, rate: 0.24 },
+                    { min: 191950, max: 243725, rate: 0.32 },
+                    { min: 243725, max: 609350, rate: 0.35 },
+                    { min: 609350, max: Infinity, rate: 0.37 }
+                ],
+                marriedJointly: [
+                    { min: 0, max: 23200, rate: 0.10 },
+                    { min: 23200, max: 94300, rate: 0.12 },
+                    { min: 94300, max: 201050, rate: 0.22 },
+                    { min: 201050, max: 383900, rate: 0.24 },
+                    { min: 383900, max: 487450, rate: 0.32 },
+                    { min: 487450, max: 731200, rate: 0.35 },
+                    { min: 731200, max: Infinity, rate: 0.37 }
+                ],
+                marriedSeparately: [
+                    { min: 0, max: 11600, rate: 0.10 },
+                    { min: 11600, max: 47150, rate: 0.12 },
+                    { min: 47150, max: 100525, rate: 0.22 },
+                    { min: 100525, max: 191950, rate: 0.24 },
+                    { min: 191950, max: 243725, rate: 0.32 },
+                    { min: 243725, max: 365600, rate: 0.35 },
+                    { min: 365600, max: Infinity, rate: 0.37 }
+                ],
+                headOfHousehold: [
+                    { min: 0, max: 16550, rate: 0.10 },
+                    { min: 16550, max: 63100, rate: 0.12 },
+                    { min: 63100, max: 100500, rate: 0.22 },
+                    { min: 100500, max: 191950, rate: 0.24 },
+                    { min: 191950, max: 243700, rate: 0.32 },
+                    { min: 243700, max: 609350, rate: 0.35 },
+                    { min: 609350, max: Infinity, rate: 0.37 }
+                ]
+            },
+            standardDeduction: { single: 14600, marriedJointly: 29200, marriedSeparately: 14600, headOfHousehold: 21900 },
+            // Long-term capital gains and qualified dividends, stacked on top of ordinary taxable income
+            capitalGainsBrackets: {
+                single: [{ min: 0, max: 47025, rate: 0 }, { min: 47025, max: 518900, rate: 0.15 }, { min: 518900, max: Infinity, rate: 0.20 }],
+                marriedJointly: [{ min: 0, max: 94050, rate: 0 }, { min: 94050, max: 583750, rate: 0.15 }, { min: 583750, max: Infinity, rate: 0.20 }],
+                marriedSeparately: [{ min: 0, max: 47025, rate: 0 }, { min: 47025, max: 291850, rate: 0.15 }, { min: 291850, max: Infinity, rate: 0.20 }],
+                headOfHousehold: [{ min: 0, max: 63000, rate: 0 }, { min: 63000, max: 551350, rate: 0.15 }, { min: 551350, max: Infinity, rate: 0.20 }]
+            }
+        },
+        // Roth IRA contributions phase out across these MAGI ranges
+        rothIraPhaseOut: {
+            single: { start: 146000, end: 161000 },
+            marriedJointly: { start: 230000, end: 240000 },
+            marriedSeparately: { start: 0, end: 10000 },
+            headOfHousehold: { start: 146000, end: 161000 }
+        },
+        socialSecurityWageBase: 168600,
+        limits: {
+            employee401k: 23000, // Maximum employee contribution
+            total401k: 69000, // Maximum total contribution (employee + employer)
+            ira: 7000,
+            catchUp401k: 7500, // Age 50+
+            iraCatchUp: 1000,
+            hsaSelf: 4150, // HSA, self-only coverage (employee + employer)
+            hsaFamily: 8300
+        }
+    },
+    2025: {
+        federal: {
+            brackets: {
+                single: [
+                    { min: 0, max: 11925, rate: 0.10 },
+                    { min: 11925, max: 48475, rate: 0.12 },
+                    { min: 48475, max: 103350, rate: 0.22 },
+                    { min: 103350, max: 197300, rate: 0.24 },
+                    { min: 197300, max: 250525, rate: 0.32 },
+                    { min: 250525, max: 626350, rate: 0.35 },
+                    { min: 626350, max: Infinity, rate: 0.37 }
+                ],
+                marriedJointly: [
+                    { min: 0, max: 23850, rate: 0.10 },
+                    { min: 23850, max: 96950, rate: 0.12 },
+                    { min: 96950, max: 206700, rate: 0.22 },
+                    { min: 206700, max: 394600, rate: 0.24 },
+                    { min: 394600, max: 501050, rate: 0.32 },
+                    { min: 501050, max: 751600, rate: 0.35 },
+                    { min: 751600, max: Infinity, rate: 0.37 }
+                ],
+                marriedSeparately: [
+                    { min: 0, max: 11925, rate: 0.10 },
+                    { min: 11925, max: 48475, rate: 0.12 },
+                    { min: 48475, max: 103350, rate: 0.22 },
+                    { min: 103350, max: 197300, rate: 0.24 },
+                    { min: 197300, max: 250525, rate: 0.32 },
+                    { min: 250525, max: 375800, rate: 0.35 },
+                    { min: 375800, max: Infinity, rate: 0.37 }
+                ],
+                headOfHousehold: [
+                    { min: 0, max: 17000, rate: 0.10 },
+                    { min: 17000, max: 64850, rate: 0.12 },
+                    { min: 64850, max: 103350, rate: 0.22 },
+                    { min: 103350, max: 197300, rate: 0.24 },
+                    { min: 197300, max: 250500, rate: 0.32 },
+                    { min: 250500, max: 626350, rate: 0.35 },
+                    { min: 626350, max: Infinity, rate: 0.37 }
+                ]
+            },
+            standardDeduction: { single: 15750, marriedJointly: 31500, marriedSeparately: 15750, headOfHousehold: 23625 },
+            // Long-term capital gains and qualified dividends, stacked on top of ordinary taxable income
+            capitalGainsBrackets: {
+                single: [{ min: 0, max: 48350, rate: 0 }, { min: 48350, max: 533400, rate: 0.15 }, { min: 533400, max: Infinity, rate: 0.20 }],
+                marriedJointly: [{ min: 0, max: 96700, rate: 0 }, { min: 96700, max: 600050, rate: 0.15 }, { min: 600050, max: Infinity, rate: 0.20 }],
+                marriedSeparately: [{ min: 0, max: 48350, rate: 0 }, { min: 48350, max: 300000, rate: 0.15 }, { min: 300000, max: Infinity, rate: 0.20 }],
+                headOfHousehold: [{ min: 0, max: 64750, rate: 0 }, { min: 64750, max: 566700, rate: 0.15 }, { min: 566700, max: Infinity, rate: 0.20 }]
+            }
+        },
+        // Roth IRA contributions phase out across these MAGI ranges
+        rothIraPhaseOut: {
+            single: { start: 150000, end: 165000 },
+            marriedJointly: { start: 236000, end: 246000 },
+            marriedSeparately: { start: 0, end: 10000 },
+            headOfHousehold: { start: 150000, end: 165000 }
+        },
+        socialSecurityWageBase: 176100,
+        limits: {
+            employee401k: 23500, // Maximum employee contribution
+            total401k: 70000, // Maximum total contribution (employee + employer)
+            ira: 7000,
+            catchUp401k: 7500, // Age 50+
+            superCatchUp401k: 11250, // Ages 60-63, in place of the regular catch-up
+            iraCatchUp: 1000,
+            hsaSelf: 4300, // HSA, self-only coverage (employee + employer)
+            hsaFamily: 8550
+        },
+        states: {
+            CA: {
+                brackets: {
+                    single: [
+                        { min: 0, max: 11079, rate: 0.01 },
+                        { min: 11079, max: 26264, rate: 0.02 },
+                        { min: 26264, max: 41452, rate: 0.04 },
+                        { min: 41452, max: 57542, rate: 0.06 },
+                        { min: 57542, max: 72724, rate: 0.08 },
+                        { min: 72724, max: 371479, rate: 0.093 },
+                        { min: 371479, max: 445771, rate: 0.103 },
+                        { min: 445771, max: 742953, rate: 0.113 },
+                        { min: 742953, max: Infinity, rate: 0.123 }
+                    ],
+                    marriedJointly: [
+                        { min: 0, max: 22158, rate: 0.01 },
+                        { min: 22158, max: 52528, rate: 0.02 },
+                        { min: 52528, max: 82904, rate: 0.04 },
+                        { min: 82904, max: 115084, rate: 0.06 },
+                        { min: 115084, max: 145448, rate: 0.08 },
+                        { min: 145448, max: 742958, rate: 0.093 },
+                        { min: 742958, max: 891542, rate: 0.103 },
+                        { min: 891542, max: 1485906, rate: 0.113 },
+                        { min: 1485906, max: Infinity, rate: 0.123 }
+                    ],
+                    headOfHousehold: [
+                        { min: 0, max: 22173, rate: 0.01 },
+                        { min: 22173, max: 52530, rate: 0.02 },
+                        { min: 52530, max: 67716, rate: 0.04 },
+                        { min: 67716, max: 83805, rate: 0.06 },
+                        { min: 83805, max: 98990, rate: 0.08 },
+                        { min: 98990, max: 505208, rate: 0.093 },
+                        { min: 505208, max: 606251, rate: 0.103 },
+                        { min: 606251, max: 1010417, rate: 0.113 },
+                        { min: 1010417, max: Infinity, rate: 0.123 }
+                    ]
+                },
+                standardDeduction: { single: 5706, marriedJointly: 11412, marriedSeparately: 5706, headOfHousehold: 11412 },
+                payrollTaxes: [{ name: 'CA SDI', rate: 0.012 }]
+            },
+            NY: {
+                payrollTaxes: [
+                    { name: 'NY SDI', rate: 0.005, max: 31.20 },
+                    { name: 'NY PFL', rate: 0.00388, max: 354.53 }
+                ]
+            },
+            NJ: {
+                payrollTaxes: [
+                    { name: 'NJ TDI', rate: 0.0023, wageBase: 165400 },
+                    { name: 'NJ FLI', rate: 0.0033, wageBase: 165400 }
+                ]
+            },
+            IL: {
+                personalExemption: { single: 2850, marriedJointly: 5700, marriedSeparately: 2850, headOfHousehold: 2850 }
+            },
+            MA: {
+                surtax: { threshold: 1083150, rate: 0.04 },
+                payrollTaxes: [{ name: 'MA PFML', rate: 0.0046, wageBase: 176100 }]
+            },
+            CO: { rate: 0.044 },
+            GA: { rate: 0.0519 },
+            NC: { rate: 0.0425 },
+            WA: {
+                payrollTaxes: [
+                    { name: 'WA PFML', rate: 0.00658, wageBase: 176100 },
+                    { name: 'WA Cares', rate: 0.0058 }
+                ]
+            }
+        }
+    },
+    2026: {
+        federal: {
+            brackets: {
+                single: [
+                    { min: 0, max: 12400, rate: 0.10 },
+                    { min: 12400, max: 50400, rate: 0.12 },
+                    { min: 50400, max: 105700, rate: 0.22 },
+                    { min: 105700, max: 201775, rate: 0.24 },
+                    { min: 201775, max: 256225, rate: 0.32 },
+                    { min: 256225, max: 640600, rate: 0.35 },
+                    { min: 640600, max: Infinity, rate: 0.37 }
+                ],
+                marriedJointly: [
+                    { min: 0, max: 24800, rate: 0.10 },
+                    { min: 24800, max: 100800, rate: 0.12 },
+                    { min: 100800, max: 211400, rate: 0.22 },
+                    { min: 211400, max: 403550, rate: 0.24 },
+                    { min: 403550, max: 512450, rate: 0.32 },
+                    { min: 512450, max: 768700, rate: 0.35 },
+                    { min: 768700, max: Infinity, rate: 0.37 }
+                ],
+                marriedSeparately: [
+                    { min: 0, max: 12400, rate: 0.10 },
+                    { min: 12400, max: 50400, rate: 0.12 },
+                    { min: 50400, max: 105700, rate: 0.22 },
+                    { min: 105700, max: 201775, rate: 0.24 },
+                    { min: 201775, max: 256225, rate: 0.32 },
+                    { min: 256225, max: 384350, rate: 0.35 },
+                    { min: 384350, max: Infinity, rate: 0.37 }
+                ],
+                headOfHousehold: [
+                    { min: 0, max: 17700, rate: 0.10 },
+                    { min: 17700, max: 67450, rate: 0.12 },
+                    { min: 67450, max: 105700, rate: 0.22 },
+                    { min: 105700, max: 201750, rate: 0.24 },
+                    { min: 201750, max: 256200, rate: 0.32 },
+                    { min: 256200, max: 640600, rate: 0.35 },
+                    { min: 640600, max: Infinity, rate: 0.37 }
+                ]
+            },
+            standardDeduction: { single: 16100, marriedJointly: 32200, marriedSeparately: 16100, headOfHousehold: 24150 },
+            // Long-term capital gains and qualified dividends, stacked on top of ordinary taxable income
+            capitalGainsBrackets: {
+                single: [{ min: 0, max: 49450, rate: 0 }, { min: 49450, max: 545500, rate: 0.15 }, { min: 545500, max: Infinity, rate: 0.20 }],
+                marriedJointly: [{ min: 0, max: 98900, rate: 0 }, { min: 98900, max: 613700, rate: 0.15 }, { min: 613700, max: Infinity, rate: 0.20 }],
+                marriedSeparately: [{ min: 0, max: 49450, rate: 0 }, { min: 49450, max: 306850, rate: 0.15 }, { min: 306850, max: Infinity, rate: 0.20 }],
+                headOfHousehold: [{ min: 0, max: 66200, rate: 0 }, { min: 66200, max: 579600, rate: 0.15 }, { min: 579600, max: Infinity, rate: 0.20 }]
+            }
+        },
+        // Roth IRA contributions phase out across these MAGI ranges
+        rothIraPhaseOut: {
+            single: { start: 153000, end: 168000 },
+            marriedJointly: { start: 242000, end: 252000 },
+            marriedSeparately: { start: 0, end: 10000 },
+            headOfHousehold: { start: 153000, end: 168000 }
+        },
+        socialSecurityWageBase: 184500,
+        limits: {
+            employee401k: 24500, // Maximum employee contribution
+            total401k: 72000, // Maximum total contribution (employee + employer)
+            ira: 7500,
+            catchUp401k: 8000, // Age 50+
+            superCatchUp401k: 11250, // Ages 60-63, in place of the regular catch-up
+            iraCatchUp: 1100,
+            hsaSelf: 4400, // HSA, self-only coverage (employee + employer)
+            hsaFamily: 8750
+        },
+        states: {
+            // CA brackets for 2026 are projected from 2025 by indexing
+            CA: {
+                payrollTaxes: [{ name: 'CA SDI', rate: 0.013 }]
+            },
+            // New York lowers its five lowest rates from 2026
+            NY: {
+                brackets: {
+                    single: [
+                        { min: 0, max: 8500, rate: 0.039 },
+                        { min: 8500, max: 11700, rate: 0.044 },
+                        { min: 11700, max: 13900, rate: 0.0515 },
+                        { min: 13900, max: 80650, rate: 0.054 },
+                        { min: 80650, max: 215400, rate: 0.059 },
+                        { min: 215400, max: 1077550, rate: 0.0685 },
+                        { min: 1077550, max: 5000000, rate: 0.0965 },
+                        { min: 5000000, max: 25000000, rate: 0.103 },
+                        { min: 25000000, max: Infinity, rate: 0.109 }
+                    ],
+                    marriedJointly: [
+                        { min: 0, max: 17150, rate: 0.039 },
+                        { min: 17150, max: 23600, rate: 0.044 },
+                        { min: 23600, max: 27900, rate: 0.0515 },
+                        { min: 27900, max: 161550, rate: 0.054 },
+                        { min: 161550, max: 323200, rate: 0.059 },
+                        { min: 323200, max: 2155350, rate: 0.0685 },
+                        { min: 2155350, max: 5000000, rate: 0.0965 },
+                        { min: 5000000, max: 25000000, rate: 0.103 },
+                        { min: 25000000, max: Infinity, rate: 0.109 }
+                    ],
+                    headOfHousehold: [
+                        { min: 0, max: 12800, rate: 0.039 },
+                        { min: 12800, max: 17650, rate: 0.044 },
+                        { min: 17650, max: 20900, rate: 0.0515 },
+                        { min: 20900, max: 107650, rate: 0.054 },
+                        { min: 107650, max: 269300, rate: 0.059 },
+                        { min: 269300, max: 1616450, rate: 0.0685 },
+                        { min: 1616450, max: 5000000, rate: 0.0965 },
+                        { min: 5000000, max: 25000000, rate: 0.103 },
+                        { min: 25000000, max: Infinity, rate: 0.109 }
+                    ]
+                },
+                payrollTaxes: [
+                    { name: 'NY SDI', rate: 0.005, max: 31.20 },
+                    { name: 'NY PFL', rate: 0.00432, max: 411.91 }
+                ]
+            },
+            NJ: {
+                payrollTaxes: [
+                    { name: 'NJ TDI', rate: 0.0019, wageBase: 171100 },
+                    { name: 'NJ FLI', rate: 0.0023, wageBase: 171100 }
+                ]
+            },
+            MA: {
+                surtax: { threshold: 1107750, rate: 0.04 },
+                payrollTaxes: [{ name: 'MA PFML', rate: 0.0046, wageBase: 184500 }]
+            },
+            GA: { rate: 0.0509 },
+            NC: { rate: 0.0399 },
+            WA: {
+                payrollTaxes: [
+                    { name: 'WA PFML', rate: 0.008082, wageBase: 184500 },
+                    { name: 'WA Cares', rate: 0.0058 }
+                ]
+            }
+        }
+    }
+};
+
+const DEFAULT_TAX_YEAR = 2024;
+// Assumed annual inflation used to index brackets, deductions and limits beyond the last known year
+const DEFAULT_INDEXING_RATE = 0.025;
+
+// State income tax definitions for 2024. `type` selects how the tax is computed:
+// 'progressive' (per-filing-status brackets), 'flat' (single rate) or 'none' (no tax on wages).
+// `taxes401kDeferrals` marks states that don't exclude traditional 401K deferrals from state
+// wages, `taxesHsaContributions` those that tax HSA contributions (employee and employer) as
+// wages, `payrollTaxes` lists employee-paid state insurance programs and `localities` holds
+// optional local income taxes, taxed either on state taxable income or on gross wages. States
+// marked `indexed` adjust their brackets for inflation when a year is projected; program wage
+// bases are indexed for every state past the year of their latest table. Other years' figures
+// are the `states` overrides in TAX_YEARS.
+const STATE_TAX_REGISTRY_YEAR = 2024;
+const STATE_TAX_REGISTRY = {
+    CA: {
+        name: 'California',
+        type: 'progressive',
+        brackets: {
+            single: [
+                { min: 0, max: 10756, rate: 0.01 },
+                { min: 10756, max: 25499, rate: 0.02 },
+                { min: 25499, max: 40245, rate: 0.04 },
+                { min: 40245, max: 55866, rate: 0.06 },
+                { min: 55866, max: 70606, rate: 0.08 },
+                { min: 70606, max: 360659, rate: 0.093 },
+                { min: 360659, max: 432787, rate: 0.103 },
+                { min: 432787, max: 721314, rate: 0.113 },
+                { min: 721314, max: Infinity, rate: 0.123 }
+            ],
+            marriedJointly: [
+                { min: 0, max: 21512, rate: 0.01 },
+                { min: 21512, max: 50998, rate: 0.02 },
+                { min: 50998, max: 80490, rate: 0.04 },
+                { min: 80490, max: 111732, rate: 0.06 },
+                { min: 111732, max: 141212, rate: 0.08 },
+                { min: 141212, max: 721318, rate: 0.093 },
+                { min: 721318, max: 865574, rate: 0.103 },
+                { min: 865574, max: 1442628, rate: 0.113 },
+                { min: 1442628, max: Infinity, rate: 0.123 }
+            ],
+            headOfHousehold: [
+                { min: 0, max: 21527, rate: 0.01 },
+                { min: 21527, max: 51000, rate: 0.02 },
+                { min: 51000, max: 65744, rate: 0.04 },
+                { min: 65744, max: 81364, rate: 0.06 },
+                { min: 81364, max: 96107, rate: 0.08 },
+                { min: 96107, max: 490493, rate: 0.093 },
+                { min: 490493, max: 588593, rate: 0.103 },
+                { min: 588593, max: 980987, rate: 0.113 },
+                { min: 980987, max: Infinity, rate: 0.123 }
+            ]
+        },
+        standardDeduction: { single: 5540, marriedJointly: 11080, marriedSeparately: 5540, headOfHousehold: 11080 },
+        allowsItemized: true,
+        indexed: true,
+        taxesHsaContributions: true,
+        payrollTaxes: [
+            { name: 'CA SDI', rate: 0.011 } // No wage ceiling from 2024
+        ]
+    },
+    NY: {
+        name: 'New York',
+        type: 'progressive',
+        brackets: {
+            single: [
+                { min: 0, max: 8500, rate: 0.04 },
+                { min: 8500, max: 11700, rate: 0.045 },
+                { min: 11700, max: 13900, rate: 0.0525 },
+                { min: 13900, max: 80650, rate: 0.055 },
+                { min: 80650, max: 215400, rate: 0.06 },
+                { min: 215400, max: 1077550, rate: 0.0685 },
+                { min: 1077550, max: 5000000, rate: 0.0965 },
+                { min: 5000000, max: 25000000, rate: 0.103 },
+                { min: 25000000, max: Infinity, rate: 0.109 }
+            ],
+            marriedJointly: [
+                { min: 0, max: 17150, rate: 0.04 },
+                { min: 17150, max: 23600, rate: 0.045 },
+                { min: 23600, max: 27900, rate: 0.0525 },
+                { min: 27900, max: 161550, rate: 0.055 },
+                { min: 161550, max: 323200, rate: 0.06 },
+                { min: 323200, max: 2155350, rate: 0.0685 },
+                { min: 2155350, max: 5000000, rate: 0.0965 },
+                { min: 5000000, max: 25000000, rate: 0.103 },
+                { min: 25000000, max: Infinity, rate: 0.109 }
+            ],
+            headOfHousehold: [
+                { min: 0, max: 12800, rate: 0.04 },
+                { min: 12800, max: 17650, rate: 0.045 },
+                { min: 17650, max: 20900, rate: 0.0525 },
+                { min: 20900, max: 107650, rate: 0.055 },
+                { min: 107650, max: 269300, rate: 0.06 },
+                { min: 269300, max: 1616450, rate: 0.0685 },
+                { min: 1616450, max: 5000000, rate: 0.0965 },
+                { min: 5000000, max: 25000000, rate: 0.103 },
+                { min: 25000000, max: Infinity, rate: 0.109 }
+            ]
+        },
+        standardDeduction: { single: 8000, marriedJointly: 16050, marriedSeparately: 8000, headOfHousehold: 11200 },
+        allowsItemized: true,
+        payrollTaxes: [
+            { name: 'NY SDI', rate: 0.005, max: 31.20 },
+            { name: 'NY PFL', rate: 0.00373, max: 333.25 }
+        ],
+        localities: {
+            NYC: {
+                name: 'New York City',
+                type: 'progressive',
+                base: 'stateTaxableIncome',
+                brackets: {
+                    single: [
+                        { min: 0, max: 12000, rate: 0.03078 },
+                        { min: 12000, max: 25000, rate: 0.03762 },
+                        { min: 25000, max: 50000, rate: 0.03819 },
+                        { min: 50000, max: Infinity, rate: 0.03876 }
+                    ],
+                    marriedJointly: [
+                        { min: 0, max: 21600, rate: 0.03078 },
+                        { min: 21600, max: 45000, rate: 0.03762 },
+                        { min: 45000, max: 90000, rate: 0.03819 },
+                        { min: 90000, max: Infinity, rate: 0.03876 }
+                    ],
+                    headOfHousehold: [
+                        { min: 0, max: 14400, rate: 0.03078 },
+                        { min: 14400, max: 30000, rate: 0.03762 },
+                        { min: 30000, max: 60000, rate: 0.03819 },
+                        { min: 60000, max: Infinity, rate: 0.03876 }
+                    ]
+                }
+            }
+        }
+    },
+    NJ: {
+        name: 'New Jersey',
+        type: 'progressive',
+        brackets: {
+            single: [
+                { min: 0, max: 20000, rate: 0.014 },
+                { min: 20000, max: 35000, rate: 0.0175 },
+                { min: 35000, max: 40000, rate: 0.035 },
+                { min: 40000, max: 75000, rate: 0.05525 },
+                { min: 75000, max: 500000, rate: 0.0637 },
+                { min: 500000, max: 1000000, rate: 0.0897 },
+                { min: 1000000, max: Infinity, rate: 0.1075 }
+            ],
+            marriedJointly: [
+                { min: 0, max: 20000, rate: 0.014 },
+                { min: 20000, max: 50000, rate: 0.0175 },
+                { min: 50000, max: 70000, rate: 0.0245 },
+                { min: 70000, max: 80000, rate: 0.035 },
+                { min: 80000, max: 150000, rate: 0.05525 },
+                { min: 150000, max: 500000, rate: 0.0637 },
+                { min: 500000, max: 1000000, rate: 0.0897 },
+                { min: 1000000, max: Infinity, rate: 0.1075 }
+            ],
+            headOfHousehold: [
+                { min: 0, max: 20000, rate: 0.014 },
+                { min: 20000, max: 50000, rate: 0.0175 },
+                { min: 50000, max: 70000, rate: 0.0245 },
+                { min: 70000, max: 80000, rate: 0.035 },
+                { min: 80000, max: 150000, rate: 0.05525 },
+                { min: 150000, max: 500000, rate: 0.0637 },
+                { min: 500000, max: 1000000, rate: 0.0897 },
+                { min: 1000000, max: Infinity, rate: 0.1075 }
+            ]
+        },
+        personalExemption: { single: 1000, marriedJointly: 2000, marriedSeparately: 1000, headOfHousehold: 1000 },
+        taxes401kDeferrals: true,
+        taxesHsaContributions: true,
+        payrollTaxes: [
+            { name: 'NJ FLI', rate: 0.0009, wageBase: 161400 }
+        ]
+    },
+    PA: {
+        name: 'Pennsylvania',
+        type: 'flat',
+        rate: 0.0307,
+        taxes401kDeferrals: true,
+        exemptsRetirementIncome: true,
+        localities: {
+            PHL: { name: 'Philadelphia', type: 'flat', base: 'wages', rate: 0.0375 }
+        }
+    },
+    IL: {
+        name: 'Illinois',
+        type: 'flat',
+        rate: 0.0495,
+        personalExemption: { single: 2775, marriedJointly: 5550, marriedSeparately: 2775, headOfHousehold: 2775 },
+        exemptsRetirementIncome: true
+    },
+    MA: {
+        name: 'Massachusetts',
+        type: 'flat',
+        rate: 0.05,
+        surtax: { threshold: 1053750, rate: 0.04 },
+        personalExemption: { single: 4400, marriedJointly: 8800, marriedSeparately: 4400, headOfHousehold: 6800 },
+        payrollTaxes: [
+            { name: 'MA PFML', rate: 0.0046, wageBase: 168600 }
+        ]
+    },
+    CO: {
+        name: 'Colorado',
+        type: 'flat',
+        rate: 0.0425,
+        startsFromFederalTaxableIncome: true
+    },
+    GA: {
+        name: 'Georgia',
+        type: 'flat',
+        rate: 0.0539,
+        standardDeduction: { single: 12000, marriedJointly: 24000, marriedSeparately: 12000, headOfHousehold: 12000 },
+        allowsItemized: true
+    },
+    NC: {
+        name: 'North Carolina',
+        type: 'flat',
+        rate: 0.045,
+        standardDeduction: { single: 12750, marriedJointly: 25500, marriedSeparately: 12750, headOfHousehold: 19125 },
+        allowsItemized: true
+    },
+    TX: { name: 'Texas', type: 'none' },
+    FL: { name: 'Florida', type: 'none' },
+    NV: { name: 'Nevada', type: 'none' },
+    TN: { name: 'Tennessee', type: 'none' },
+    WA: {
+        name: 'Washington',
+        type: 'none',
+        payrollTaxes: [
+            { name: 'WA PFML', rate: 0.005286, wageBase: 168600 },
+            { name: 'WA Cares', rate: 0.0058 }
+        ]
+    }
+};
+
+// Additional Medicare Tax (0.9% on wages above a threshold that is not inflation-indexed)
+const ADDITIONAL_MEDICARE_RATE = 0.009;
+const ADDITIONAL_MEDICARE_THRESHOLD = {
+    single: 200000,
+    marriedJointly: 250000,
+    marriedSeparately: 125000,
+    headOfHousehold: 200000
+};
+
+// Net Investment Income Tax: 3.8% on the lesser of investment income and MAGI above a threshold
+// that, like the Additional Medicare threshold, is not inflation-indexed
+const NIIT_RATE = 0.038;
+const NIIT_THRESHOLD = {
+    single: 200000,
+    marriedJointly: 250000,
+    marriedSeparately: 125000,
+    headOfHousehold: 200000
+};
+
+// Up to 50% of Social Security benefits become taxable once provisional income passes the base
+// amount and up to 85% past the adjusted base. These thresholds are fixed in law, not indexed;
+// married filing separately (living together) has no base amount at all.
+const SOCIAL_SECURITY_TAXATION_THRESHOLDS = {
+    single: { base: 25000, adjustedBase: 34000 },
+    marriedJointly: { base: 32000, adjustedBase: 44000 },
+    marriedSeparately: { base: 0, adjustedBase: 0 },
+    headOfHousehold: { base: 25000, adjustedBase: 34000 }
+};
+
+// IRS Uniform Lifetime Table (2022 onward): distribution period by age for RMDs
+const RMD_UNIFORM_LIFETIME_TABLE = {
+    72: 27.4, 73: 26.5, 74: 25.5, 75: 24.6, 76: 23.7, 77: 22.9, 78: 22.0, 79: 21.1,
+    80: 20.2, 81: 19.4, 82: 18.5, 83: 17.7, 84: 16.8, 85: 16.0, 86: 15.2, 87: 14.4,
+    88: 13.7, 89: 12.9, 90: 12.2, 91: 11.5, 92: 10.8, 93: 10.1, 94: 9.5, 95: 8.9,
+    96: 8.4, 97: 7.8, 98: 7.3, 99: 6.8, 100: 6.4, 101: 6.0, 102: 5.6, 103: 5.2,
+    104: 4.9, 105: 4.6, 106: 4.3, 107: 4.1, 108: 3.9, 109: 3.7, 110: 3.5, 111: 3.4,
+    112: 3.3, 113: 3.1, 114: 3.0, 115: 2.9, 116: 2.8, 117: 2.7, 118: 2.5, 119: 2.3,
+    120: 2.0
+};
+
+// Distributions before 59½ owe a 10% additional tax unless an exception applies: plan (401K)
+// money after separating from service in or after the year you turn 55 (the Rule of 55), or
+// payments under a 72(t) schedule of substantially equal periodic payments (SEPP)
+const EARLY_WITHDRAWAL_PENALTY_RATE = 0.10;
+const PENALTY_FREE_AGE = 59.5;
+const RULE_OF_55_AGE = 55;
+
+// 72(t) amortization payments may use up to the greater of 5% and 120% of the federal mid-term rate
+const SEPP_INTEREST_RATE = 0.05;
+
+// IRS Single Life Expectancy Table (2022 onward), used to size 72(t) payments
+const SINGLE_LIFE_EXPECTANCY_TABLE = {
+    30: 55.3, 31: 54.4, 32: 53.4, 33: 52.5, 34: 51.5, 35: 50.5, 36: 49.6, 37: 48.6,
+    38: 47.7, 39: 46.7, 40: 45.7, 41: 44.8, 42: 43.8, 43: 42.9, 44: 41.9, 45: 41.0,
+    46: 40.0, 47: 39.0, 48: 38.1, 49: 37.1, 50: 36.2, 51: 35.3, 52: 34.3, 53: 33.4,
+    54: 32.5, 55: 31.6, 56: 30.6, 57: 29.8, 58: 28.9, 59: 28.0
+};
+
+// HSA contributions get a $1,000 catch-up from 55 (not indexed). Withdrawals for qualified
+// medical expenses are always tax-free; other withdrawals are ordinary income, with a 20%
+// penalty before 65.
+const HSA_CATCH_UP = 1000;
+const HSA_CATCH_UP_AGE = 55;
+const HSA_PENALTY_RATE = 0.20;
+const HSA_PENALTY_FREE_AGE = 65;
+
+// Retirement withdrawal orderings. Bracket filling draws traditional money up to the top of a
+// chosen federal bracket every year, then follows its order; pro-rata draws from every account
+// in proportion to its balance.
+const WITHDRAWAL_STRATEGIES = {
+    taxableFirst: { name: 'Taxable first', order: ['taxable', 'traditional', 'roth'] },
+    traditionalFirst: { name: 'Traditional first', order: ['traditional', 'taxable', 'roth'] },
+    bracketFilling: { name: 'Bracket filling', order: ['taxable', 'traditional', 'roth'], fillsBracket: true },
+    proRata: { name: 'Pro-rata', proRata: true }
+};
+
+// FICA tax rates
+const FICA_RATE = 0.0765; // 6.2% Social Security + 1.45% Medicare
+const SOCIAL_SECURITY_RATE = 0.062;
+const MEDICARE_RATE = 0.0145;
+
+// Salary frequency multipliers
+const SALARY_FREQUENCY = {
+    weekly: 52,
+    biweekly: 26,
+    semimonthly: 24,
+    monthly: 12,
+    annually: 1
+};
+
+// Ledger buckets per scenario, mapped to the contribution field of each yearly flow
+const ACCOUNT_BUCKETS = {
+    with401k: {
+        trad401k: 'trad401kContribution',
+        roth401k: 'roth401kContribution',
+        afterTax: 'afterTax401kContribution',
+        employer: 'employerContribution',
+        rothIRA: 'rothIRAContribution',
+        hsa: 'hsaContribution',
+        brokerage: 'additionalBrokerage'
+    },
+    no401k: {
+        rothIRA: 'rothIRAContribution',
+        hsa: 'hsaContribution',
+        brokerage: 'brokerageInvestment'
+    }
+};
+
+// Employer plan used when none is given: a dollar-for-dollar match on the first 3% of pay, paid
+// each paycheck with a year-end true-up and vested immediately. Each match tier matches
+// `matchPercent` of the employee's deferrals on the next `upToPercent` of pay.
+const DEFAULT_EMPLOYER_PLAN = {
+    tiers: [{ matchPercent: 100, upToPercent: 3 }],
+    nonElectivePercent: 0,
+    annualMatchCap: null,
+    trueUp: true,
+    payPeriods: SALARY_FREQUENCY.biweekly,
+    vesting: { type: 'immediate', years: 0, yearsOfService: 0 }
+};
+
+// Percentiles reported for simulated outcomes
+const SIMULATION_PERCENTILES = [10, 25, 50, 75, 90];
+
+// What the strategy optimizer can rank by; `maximize` is false for amounts that should be low
+const OPTIMIZER_OBJECTIVES = {
+    terminalWealth: { label: 'After-tax terminal wealth', maximize: true },
+    lifetimeTaxes: { label: 'Lifetime taxes', maximize: false },
+    retirementIncome: { label: 'Sustainable retirement income', maximize: true }
+};
+
+// Latest retirement age the goal solver will propose
+const GOAL_MAX_RETIREMENT_AGE = 80;
+
+// Saved scenarios and share links record these form fields (checkboxes as booleans) plus the
+// match tiers. Bump the version whenever a field changes meaning; other versions are ignored.
+const SCENARIO_STATE_VERSION = 1;
+const SCENARIO_FIELDS = [
+    'grossSalary', 'salaryGrowth', 'salaryFrequency', 'taxYear', 'filingStatus', 'state', 'locality',
+    'itemizedDeductions', 'adjustments', 'contributionPercent', 'escalationRate', 'escalationCap',
+    'roth401kMax', 'afterTax401k', 'afterTaxConversion', 'rothIRAContribution', 'rothIRAMethod',
+    'traditionalIraBalance', 'hsaCoverage', 'hsaContribution', 'employerHsaContribution',
+    'investmentReturn', 'dividendYield', 'returnModel', 'stockAllocation', 'volatility', 'simulations',
+    'simulationSeed', 'nonElectivePercent', 'annualMatchCap', 'matchTiming', 'vestingType', 'vestingYears',
+    'yearsOfService', 'yearsUntilLeave', 'currentAge', 'retirementAge', 'retirementYears',
+    'retirementIncome', 'retirementSpending', 'retirementMedicalExpenses', 'socialSecurityBenefit',
+    'socialSecurityAge', 'bracketTarget', 'inflationRate', 'realDollars', 'targetPerPay',
+    'withdrawalType', 'withdrawalYears', 'useSepp', 'drawdownStrategy', 'conversionBracket',
+    'conversionWindow', 'heirTaxRate'
+];
+
+// Resolved tax tables are cached per year and indexing rate; projections are pure functions of both
+const taxYearCache = new Map();
+
+class TaxYearData {
+    static getKnownYears() {
+        return Object.keys(TAX_YEARS).map(Number).sort((a, b) => a - b);
+    }
+
+    static isProjected(taxYear) {
+        const years = this.getKnownYears();
+        return taxYear > years[years.length - 1];
+    }
+
+    static indexAmount(amount, factor, roundTo = 1) {
+        if (amount === Infinity) {
+            return Infinity;
+        }
+        return Math.round((amount * factor) / roundTo) * roundTo;
+    }
+
+    // Contribution limits are only ever indexed down to the next multiple of their increment
+    static indexLimit(amount, factor, increment) {
+        return Math.floor((amount * factor) / increment) * increment;
+    }
+
+    static indexByFilingStatus(table, factor, roundTo) {
+        return Object.fromEntries(Object.entries(table).map(([status, amount]) => [status, this.indexAmount(amount, factor, roundTo)]));
+    }
+
+    // The married-filing-separately range is set by statute and isn't indexed
+    static indexPhaseOut(table, factor, roundTo) {
+        return Object.fromEntries(Object.entries(table).map(([status, range]) => [
+            status,
+            status === 'marriedSeparately'
+                ? range
+                : { start: this.indexAmount(range.start, factor, roundTo), end: this.indexAmount(range.end, factor, roundTo) }
+        ]));
+    }
+
+    static indexBrackets(tables, factor, roundTo) {
+        return Object.fromEntries(Object.entries(tables).map(([status, brackets]) => [
+            status,
+            brackets.map(bracket => ({
+                min: this.indexAmount(bracket.min, factor, roundTo),
+                max: this.indexAmount(bracket.max, factor, roundTo),
+                rate: bracket.rate
+            }))
+        ]));
+    }
+
+    /**
+     * Returns the federal tables, Social Security wage base and contribution limits for a tax
+     * year. Years before the first entry use the earliest data; years after the last entry are
+     * projected by growing every dollar threshold by `indexingRate` per year.
+     */
+    static get(taxYear = DEFAULT_TAX_YEAR, indexingRate = DEFAULT_INDEXING_RATE) {
+        const key = `${taxYear}:${indexingRate}`;
+        if (!taxYearCache.has(key)) {
+            taxYearCache.set(key, this.resolve(taxYear, indexingRate));
+        }
+        return taxYearCache.get(key);
+    }
+
+    static resolve(taxYear, indexingRate) {
+        const years = this.getKnownYears();
+        const lastYear = years[years.length - 1];
+        const year = Math.max(years[0], Math.round(taxYear));
+
+        if (year <= lastYear) {
+            return { year, projected: false, ...TAX_YEARS[year] };
+        }
+
+        const base = TAX_YEARS[lastYear];
+        const factor = Math.pow(1 + indexingRate, year - lastYear);
+        return {
+            year,
+            projected: true,
+            federal: {
+                brackets: this.indexBrackets(base.federal.brackets, factor, 50),
+                standardDeduction: this.indexByFilingStatus(base.federal.standardDeduction, factor, 50),
+                capitalGainsBrackets: this.indexBrackets(base.federal.capitalGainsBrackets, factor, 50)
+            },
+            rothIraPhaseOut: this.indexPhaseOut(base.rothIraPhaseOut, factor, 1000),
+            socialSecurityWageBase: this.indexAmount(base.socialSecurityWageBase, factor, 300),
+            limits: {
+                employee401k: this.indexLimit(base.limits.employee401k, factor, 500),
+                total401k: this.indexLimit(base.limits.total401k, factor, 1000),
+                ira: this.indexLimit(base.limits.ira, factor, 500),
+                catchUp401k: this.indexLimit(base.limits.catchUp401k, factor, 500),
+                superCatchUp401k: this.indexLimit(base.limits.superCatchUp401k, factor, 500),
+                iraCatchUp: this.indexLimit(base.limits.iraCatchUp, factor, 100),
+                hsaSelf: this.indexLimit(base.limits.hsaSelf, factor, 50),
+                hsaFamily: this.indexLimit(base.limits.hsaFamily, factor, 50)
+            }
+        };
+    }
+
+    /**
+     * Applies the per-year `states` overrides from TAX_YEARS on top of the 2024 registry entry;
+     * later years keep the latest override until a newer one replaces it. Indexed states carry
+     * their latest published tables forward by `indexingRate` per year.
+     */
+    static getStateRules(state = 'CA', taxYear = DEFAULT_TAX_YEAR, indexingRate = DEFAULT_INDEXING_RATE) {
+        const code = STATE_TAX_REGISTRY[state] ? state : 'CA';
+        const key = `${code}:${taxYear}:${indexingRate}`;
+        if (!taxYearCache.has(key)) {
+            taxYearCache.set(key, this.resolveStateRules(code, taxYear, indexingRate));
+        }
+        return taxYearCache.get(key);
+    }
+
+    static resolveStateRules(state, taxYear, indexingRate) {
+        const year = Math.max(this.getKnownYears()[0], Math.round(taxYear));
+        const overrideYears = year < STATE_TAX_REGISTRY_YEAR
+            ? [year]
+            : this.getKnownYears().filter(y => y > STATE_TAX_REGISTRY_YEAR && y <= year);
+
+        let rules = { ...STATE_TAX_REGISTRY[state] };
+        let tablesYear = STATE_TAX_REGISTRY_YEAR;
+        let payrollYear = STATE_TAX_REGISTRY_YEAR;
+        overrideYears.forEach(overrideYear => {
+            const override = TAX_YEARS[overrideYear].states?.[state];
+            if (override) {
+                rules = { ...rules, ...override };
+                if (override.brackets) {
+                    tablesYear = overrideYear;
+                }
+                if (override.payrollTaxes) {
+                    payrollYear = overrideYear;
+                }
+            }
+        });
+
+        if (rules.indexed && year > tablesYear) {
+            const factor = Math.pow(1 + indexingRate, year - tablesYear);
+            rules.brackets = this.indexBrackets(rules.brackets, factor, 1);
+            rules.standardDeduction = this.indexByFilingStatus(rules.standardDeduction, factor, 1);
+        }
+
+        // Program wage bases track wages, so they are indexed like the Social Security wage base
+        // from the year they were published; flat dollar caps (`max`) stay as published
+        if (year > payrollYear && rules.payrollTaxes) {
+            const factor = Math.pow(1 + indexingRate, year - payrollYear);
+            rules.payrollTaxes = rules.payrollTaxes.map(program => (
+                program.wageBase ? { ...program, wageBase: this.indexAmount(program.wageBase, factor, 100) } : program
+            ));
+        }
+        return rules;
+    }
+}
+
+class TaxCalculator {
+    static calculateTax(income, brackets) {
+        let tax = 0;
+        for (const bracket of brackets) {
+            if (income > bracket.min) {
+                const taxableInBracket = Math.min(income, bracket.max) - bracket.min;
+                tax += taxableInBracket * bracket.rate;
+            }
+        }
+        return tax;
+    }
+
+    // Tables keyed by filing status fall back to the single schedule for statuses they omit
+    static forFilingStatus(table, filingStatus = 'single') {
+        return table[filingStatus] ?? table.single;
+    }
+
+    static getYearData(taxProfile = {}) {
+        return TaxYearData.get(taxProfile.taxYear, taxProfile.indexingRate);
+    }
+
+    /**
+     * Contribution limits for the profile's tax year, including the catch-up room its `age`
+     * qualifies for: the regular catch-up from 50, or the larger super catch-up at ages 60-63.
+     * `base401k` and `catchUp401k` split the employee limit for display.
+     */
+    static getLimits(taxProfile = {}) {
+        const limits = this.getYearData(taxProfile).limits;
+        const age = taxProfile.age ?? 0;
+
+        let catchUp401k = 0;
+        if (age >= 60 && age <= 63 && limits.superCatchUp401k) {
+            catchUp401k = limits.superCatchUp401k;
+        } else if (age >= 50) {
+            catchUp401k = limits.catchUp401k;
+        }
+        const iraCatchUp = age >= 50 ? limits.iraCatchUp : 0;
+        const hsaCatchUp = age >= HSA_CATCH_UP_AGE ? HSA_CATCH_UP : 0;
+
+        return {
+            base401k: limits.employee401k,
+            catchUp401k,
+            employee401k: limits.employee401k + catchUp401k,
+            // Catch-up contributions sit on top of the annual additions limit
+            total401k: limits.total401k + catchUp401k,
+            baseIra: limits.ira,
+            iraCatchUp,
+            ira: limits.ira + iraCatchUp,
+            hsaCatchUp,
+            hsaSelf: limits.hsaSelf + hsaCatchUp,
+            hsaFamily: limits.hsaFamily + hsaCatchUp
+        };
+    }
+
+    static getRothIraPhaseOut(taxProfile = {}) {
+        return this.forFilingStatus(this.getYearData(taxProfile).rothIraPhaseOut, taxProfile.filingStatus);
+    }
+
+    static getStateRules(taxProfile = {}) {
+        return TaxYearData.getStateRules(taxProfile.state, taxProfile.taxYear, taxProfile.indexingRate);
+    }
+
+    /**
+     * Each tax is levied on its own wage base: 401K deferrals reduce federal and (in most states)
+     * state income-tax wages, but Social Security, Medicare and state payroll programs still apply.
+     * Payroll HSA contributions are excluded from every wage base, except state wages in states
+     * that tax them, where the employer's HSA contributions (`employerHsa`) are wages too.
+     */
+    static calculateWageBases(grossPay, preTaxDeductions = {}, taxProfile = {}) {
+        const traditional401k = preTaxDeductions.traditional401k || 0;
+        const hsa = preTaxDeductions.hsa || 0;
+        const stateRules = this.getStateRules(taxProfile);
+        const stateHsaExclusion = stateRules.taxesHsaContributions ? -(preTaxDeductions.employerHsa || 0) : hsa;
+        return {
+            grossPay,
+            federalWages: grossPay - traditional401k - hsa,
+            stateWages: (stateRules.taxes401kDeferrals ? grossPay : grossPay - traditional401k) - stateHsaExclusion,
+            localWages: grossPay,
+            ficaWages: grossPay - hsa,
+            sdiWages: grossPay - hsa
+        };
+    }
+
+    // Non-wage income (e.g. retirement withdrawals) is subject to income tax only
+    static toIncomeBases(income, taxProfile = {}) {
+        if (typeof income !== 'number') {
+            return income;
+        }
+        const stateIncome = this.getStateRules(taxProfile).exemptsRetirementIncome ? 0 : income;
+        return { grossPay: income, federalWages: income, stateWages: stateIncome, localWages: 0, ficaWages: 0, sdiWages: 0, capitalGains: 0 };
+    }
+
+    // Retirement income: Social Security is taxed federally (in part) but exempt in every registry state
+    static toRetirementIncomeBases(ordinaryIncome, taxableSocialSecurity = 0, taxProfile = {}, capitalGains = 0) {
+        const stateIncome = this.getStateRules(taxProfile).exemptsRetirementIncome ? 0 : ordinaryIncome;
+        return {
+            grossPay: ordinaryIncome + taxableSocialSecurity,
+            federalWages: ordinaryIncome + taxableSocialSecurity,
+            stateWages: stateIncome,
+            localWages: 0,
+            ficaWages: 0,
+            sdiWages: 0,
+            capitalGains
+        };
+    }
+
+    /**
+     * Taxable part of Social Security benefits. Provisional income is all other income plus half
+     * the benefits; 50% of the excess over the base amount and 85% of the excess over the
+     * adjusted base become taxable, never more than 85% of the benefits.
+     */
+    static calculateTaxableSocialSecurity(benefits, otherIncome, filingStatus = 'single') {
+        if (benefits <= 0) {
+            return 0;
+        }
+        const { base, adjustedBase } = this.forFilingStatus(SOCIAL_SECURITY_TAXATION_THRESHOLDS, filingStatus);
+        const provisionalIncome = otherIncome + benefits * 0.5;
+
+        if (provisionalIncome <= base) {
+            return 0;
+        }
+        if (provisionalIncome <= adjustedBase) {
+            return Math.min(benefits * 0.5, (provisionalIncome - base) * 0.5);
+        }
+        return Math.min(
+            benefits * 0.85,
+            (provisionalIncome - adjustedBase) * 0.85 + Math.min(benefits * 0.5, (adjustedBase - base) * 0.5)
+        );
+    }
+
+    // Gross ordinary income that fills the federal bracket taxed at `rate`, standard deduction included
+    static getBracketCeiling(rate, taxProfile = {}) {
+        const federal = this.getYearData(taxProfile).federal;
+        const brackets = this.forFilingStatus(federal.brackets, taxProfile.filingStatus);
+        const bracket = brackets.find(candidate => candidate.rate >= rate) ?? brackets[brackets.length - 1];
+        return bracket.max + this.forFilingStatus(federal.standardDeduction, taxProfile.filingStatus);
+    }
+
+    /**
+     * Taxable-income pipeline: gross -> pre-tax deductions -> AGI -> deductions -> taxable income.
+     * Federal and state figures are returned separately because each jurisdiction has its own
+     * wage base and standard deduction; itemized deductions are used wherever they exceed the
+     * standard amount and the state allows them. Long-term `capitalGains` (and qualified
+     * dividends) are part of AGI but fill the top of taxable income, so deductions offset ordinary
+     * income first; states tax them as ordinary income.
+     */
+    static calculateTaxableIncome(income, taxProfile = {}) {
+        const { grossPay, federalWages, stateWages, capitalGains = 0 } = this.toIncomeBases(income, taxProfile);
+        const filingStatus = taxProfile.filingStatus || 'single';
+        const adjustments = taxProfile.adjustments || 0;
+        const itemizedDeductions = taxProfile.itemizedDeductions || 0;
+
+        const agi = Math.max(0, federalWages + capitalGains - adjustments);
+        const stateAgi = Math.max(0, stateWages + capitalGains - adjustments);
+
+        const federalStandard = this.forFilingStatus(this.getYearData(taxProfile).federal.standardDeduction, filingStatus);
+        const federalItemizes = itemizedDeductions > federalStandard;
+        const federalDeduction = federalItemizes ? itemizedDeductions : federalStandard;
+        const federalTaxableIncome = Math.max(0, agi - federalDeduction);
+        const ordinaryTaxableIncome = Math.max(0, federalTaxableIncome - capitalGains);
+
+        return {
+            grossIncome: grossPay + capitalGains,
+            preTaxDeductions: grossPay - federalWages,
+            adjustments,
+            agi,
+            deductionType: federalItemizes ? 'itemized' : 'standard',
+            standardDeduction: federalStandard,
+            itemizedDeductions,
+            deduction: federalDeduction,
+            taxableIncome: federalTaxableIncome,
+            ordinaryTaxableIncome,
+            capitalGains,
+            taxableCapitalGains: federalTaxableIncome - ordinaryTaxableIncome,
+            state: this.calculateStateTaxableIncome(stateAgi, stateWages - federalWages, federalTaxableIncome, taxProfile)
+        };
+    }
+
+    static calculateStateTaxableIncome(stateAgi, stateWageAddBack, federalTaxableIncome, taxProfile = {}) {
+        const filingStatus = taxProfile.filingStatus || 'single';
+        const stateRules = this.getStateRules(taxProfile);
+        const itemizedDeductions = taxProfile.itemizedDeductions || 0;
+
+        if (stateRules.type === 'none') {
+            return { agi: stateAgi, deductionType: 'none', standardDeduction: 0, deduction: 0, exemption: 0, taxableIncome: 0 };
+        }
+
+        if (stateRules.startsFromFederalTaxableIncome) {
+            return {
+                agi: stateAgi,
+                deductionType: 'federal',
+                standardDeduction: 0,
+                deduction: stateAgi - stateWageAddBack - federalTaxableIncome,
+                exemption: 0,
+                taxableIncome: Math.max(0, federalTaxableIncome + stateWageAddBack)
+            };
+        }
+
+        const standardDeduction = stateRules.standardDeduction ? this.forFilingStatus(stateRules.standardDeduction, filingStatus) : 0;
+        const itemizes = stateRules.allowsItemized && itemizedDeductions > standardDeduction;
+        const deduction = itemizes ? itemizedDeductions : standardDeduction;
+        const exemption = stateRules.personalExemption ? this.forFilingStatus(stateRules.personalExemption, filingStatus) : 0;
+
+        return {
+            agi: stateAgi,
+            deductionType: itemizes ? 'itemized' : 'standard',
+            standardDeduction,
+            deduction,
+            exemption,
+            taxableIncome: Math.max(0, stateAgi - deduction - exemption)
+        };
+    }
+
+    static calculateFederalTax(taxableIncome, taxProfile = {}) {
+        const brackets = this.forFilingStatus(this.getYearData(taxProfile).federal.brackets, taxProfile.filingStatus);
+        return this.calculateTax(taxableIncome, brackets);
+    }
+
+    // Gains are taxed at 0/15/20% according to where they sit when stacked on top of ordinary taxable income
+    static calculateCapitalGainsTax(ordinaryTaxableIncome, taxableCapitalGains, taxProfile = {}) {
+        if (taxableCapitalGains <= 0) {
+            return 0;
+        }
+        const brackets = this.forFilingStatus(this.getYearData(taxProfile).federal.capitalGainsBrackets, taxProfile.filingStatus);
+        return this.calculateTax(ordinaryTaxableIncome + taxableCapitalGains, brackets) - this.calculateTax(ordinaryTaxableIncome, brackets);
+    }
+
+    static calculateNetInvestmentIncomeTax(investmentIncome, magi, taxProfile = {}) {
+        const threshold = this.forFilingStatus(NIIT_THRESHOLD, taxProfile.filingStatus);
+        return Math.max(0, Math.min(investmentIncome, magi - threshold)) * NIIT_RATE;
+    }
+
+    // Dispatches on the registry entry's `type`; also used for local taxes, which share the shape
+    static calculateStateTax(taxableIncome, taxProfile = {}) {
+        return this.calculateTaxForRules(taxableIncome, taxProfile.filingStatus || 'single', this.getStateRules(taxProfile));
+    }
+
+    static calculateTaxForRules(taxableIncome, filingStatus, rules) {
+        switch (rules.type) {
+            case 'progressive':
+                return this.calculateTax(taxableIncome, this.forFilingStatus(rules.brackets, filingStatus));
+            case 'flat': {
+                const surtax = rules.surtax ? Math.max(0, taxableIncome - rules.surtax.threshold) * rules.surtax.rate : 0;
+                return taxableIncome * rules.rate + surtax;
+            }
+            default:
+                return 0;
+        }
+    }
+
+    static calculateLocalTax(income, stateTaxableIncome, taxProfile = {}) {
+        const stateRules = this.getStateRules(taxProfile);
+        const locality = stateRules.localities?.[taxProfile.locality];
+        if (!locality) {
+            return 0;
+        }
+        const base = locality.base === 'wages' ? this.toIncomeBases(income, taxProfile).localWages : stateTaxableIncome;
+        return this.calculateTaxForRules(base, taxProfile.filingStatus || 'single', locality);
+    }
+
+    static calculatePayrollTaxes(income, taxProfile = {}) {
+        const { ficaWages, sdiWages } = this.toIncomeBases(income, taxProfile);
+        const socialSecurity = Math.min(ficaWages, this.getYearData(taxProfile).socialSecurityWageBase) * SOCIAL_SECURITY_RATE;
+        const medicare = ficaWages * MEDICARE_RATE;
+        const threshold = this.forFilingStatus(ADDITIONAL_MEDICARE_THRESHOLD, taxProfile.filingStatus);
+        const additionalMedicare = Math.max(0, ficaWages - threshold) * ADDITIONAL_MEDICARE_RATE;
+
+        const statePrograms = (this.getStateRules(taxProfile).payrollTaxes || []).map(program => {
+            const wages = Math.min(sdiWages, program.wageBase ?? Infinity);
+            return { name: program.name, amount: Math.min(wages * program.rate, program.max ?? Infinity) };
+        });
+        const statePayroll = statePrograms.reduce((sum, program) => sum + program.amount, 0);
+
+        return {
+            socialSecurity,
+            medicare,
+            additionalMedicare,
+            fica: socialSecurity + medicare + additionalMedicare,
+            statePrograms,
+            statePayroll,
+            total: socialSecurity + medicare + additionalMedicare + statePayroll
+        };
+    }
+
+    // `federal` includes the tax on capital gains (also reported as `capitalGains`); NIIT is kept separate
+    static calculateIncomeTaxes(income, taxProfile = {}) {
+        const taxableIncome = this.calculateTaxableIncome(income, taxProfile);
+        const capitalGains = this.calculateCapitalGainsTax(taxableIncome.ordinaryTaxableIncome, taxableIncome.taxableCapitalGains, taxProfile);
+        const federal = this.calculateFederalTax(taxableIncome.ordinaryTaxableIncome, taxProfile) + capitalGains;
+        const niit = this.calculateNetInvestmentIncomeTax(taxableIncome.capitalGains, taxableIncome.agi, taxProfile);
+        const state = this.calculateStateTax(taxableIncome.state.taxableIncome, taxProfile);
+        const local = this.calculateLocalTax(income, taxableIncome.state.taxableIncome, taxProfile);
+        return { federal, capitalGains, niit, state, local, total: federal + niit + state + local, income: taxableIncome };
+    }
+
+    static calculateTotalTaxes(income, taxProfile = {}) {
+        const incomeTaxes = this.calculateIncomeTaxes(income, taxProfile);
+        const payroll = this.calculatePayrollTaxes(income, taxProfile);
+        return {
+            federal: incomeTaxes.federal,
+            state: incomeTaxes.state,
+            local: incomeTaxes.local,
+            fica: payroll.fica,
+            statePayroll: payroll.statePayroll,
+            payroll,
+            incomeTaxTotal: incomeTaxes.total,
+            total: incomeTaxes.total + payroll.total,
+            income: incomeTaxes.income
+        };
+    }
+}
+
+class EmployerPlan {
+    // A bare number is the legacy "employer match %" input: a dollar-for-dollar match up to that share of pay
+    static normalize(employerPlan = {}) {
+        if (typeof employerPlan === 'number') {
+            return {
+                ...DEFAULT_EMPLOYER_PLAN,
+                tiers: employerPlan > 0 ? [{ matchPercent: 100, upToPercent: employerPlan }] : []
+            };
+        }
+        return {
+            ...DEFAULT_EMPLOYER_PLAN,
+            ...employerPlan,
+            vesting: { ...DEFAULT_EMPLOYER_PLAN.vesting, ...employerPlan.vesting }
+        };
+    }
+
+    static calculateTierMatch(pay, deferralPercent, tiers) {
+        let tierStart = 0;
+        let match = 0;
+        tiers.forEach(tier => {
+            const matchedPercent = Math.min(Math.max(deferralPercent - tierStart, 0), tier.upToPercent);
+            match += pay * (matchedPercent / 100) * (tier.matchPercent / 100);
+            tierStart += tier.upToPercent;
+        });
+        return match;
+    }
+
+    /**
+     * Employer dollars for one year. `plannedDeferral` is what the employee elected before the
+     * annual limit and `employeeDeferral` what they could actually defer. Without a true-up the
+     * match is computed paycheck by paycheck, so deferrals that hit the limit early forfeit the
+     * match on the remaining paychecks. Non-elective contributions don't depend on deferrals.
+     */
+    static calculateContribution(grossSalary, employeeDeferral, plannedDeferral, employerPlan, limits) {
+        const plan = this.normalize(employerPlan);
+        let match;
+
+        if (plan.trueUp || grossSalary <= 0) {
+            match = this.calculateTierMatch(grossSalary, grossSalary > 0 ? (employeeDeferral / grossSalary) * 100 : 0, plan.tiers);
+        } else {
+            const periodPay = grossSalary / plan.payPeriods;
+            const periodElection = plannedDeferral / plan.payPeriods;
+            let remainingDeferral = employeeDeferral;
+            match = 0;
+            for (let period = 0; period < plan.payPeriods; period++) {
+                const periodDeferral = Math.min(periodElection, remainingDeferral);
+                remainingDeferral -= periodDeferral;
+                match += this.calculateTierMatch(periodPay, (periodDeferral / periodPay) * 100, plan.tiers);
+            }
+        }
+
+        match = Math.min(match, plan.annualMatchCap ?? Infinity);
+        const nonElective = grossSalary * (plan.nonElectivePercent / 100);
+        // Employee and employer dollars together can't exceed the annual additions limit
+        const total = Math.min(match + nonElective, Math.max(limits.total401k - employeeDeferral, 0));
+
+        return { match, nonElective, total };
+    }
+
+    // Share of the employer balance an employee keeps after completing `yearsOfService` years
+    static getVestedPercent(yearsOfService, vesting = {}) {
+        switch (vesting.type) {
+            case 'cliff':
+                return yearsOfService >= vesting.years ? 100 : 0;
+            case 'graded':
+                // Graded schedules start vesting after the first year and reach 100% at `years`
+                if (vesting.years <= 1) {
+                    return yearsOfService >= 1 ? 100 : 0;
+                }
+                return Math.min(100, Math.max(0, ((yearsOfService - 1) / (vesting.years - 1)) * 100));
+            default:
+                return 100;
+        }
+    }
+}
+
+class EarlyWithdrawalRules {
+    // Plan money qualifies for the Rule of 55 when you leave that employer at 55 or later
+    static isPenaltyFree(age, planAccount = false, separationAge = null) {
+        if (age >= PENALTY_FREE_AGE) {
+            return true;
+        }
+        return planAccount && separationAge != null && separationAge >= RULE_OF_55_AGE && age >= separationAge;
+    }
+
+    // Annual 72(t) payment under the amortization method, fixed for the life of the schedule
+    static calculateSeppPayment(balance, age, interestRate = SEPP_INTEREST_RATE) {
+        if (balance <= 0 || age >= PENALTY_FREE_AGE) {
+            return 0;
+        }
+        const lifeExpectancy = SINGLE_LIFE_EXPECTANCY_TABLE[Math.min(Math.max(Math.floor(age), 30), 59)];
+        return balance * interestRate / (1 - Math.pow(1 + interestRate, -lifeExpectancy));
+    }
+
+    // Qualified medical expenses come out of an HSA tax-free; the rest is ordinary income, penalized before 65
+    static calculateHsaWithdrawal(amount, medicalExpenses = 0, age = null) {
+        const taxableIncome = Math.max(0, amount - (medicalExpenses || 0));
+        const penalized = age != null && age < HSA_PENALTY_FREE_AGE;
+        return { taxableIncome, penalty: penalized ? taxableIncome * HSA_PENALTY_RATE : 0 };
+    }
+
+    /**
+     * Early-distribution consequences of one year's `withdrawals` ({ traditional, roth401k, rothIRA }),
+     * where traditional money is plan money. Roth IRA contributions come out first and are always
+     * free; Roth 401K withdrawals are part contributions, part earnings in proportion to the account
+     * (`roth401k` and `rothIRA` in `rothAccounts` are { balance, basis }). Roth earnings taken
+     * before 59½ are ordinary income as well as penalized. Traditional withdrawals up to
+     * `seppPayment` are covered by a 72(t) schedule.
+     */
+    static calculatePenalties(withdrawals, rothAccounts = {}, early = {}) {
+        const { age = null, separationAge = null, seppPayment = 0 } = early;
+        if (age == null || age >= PENALTY_FREE_AGE) {
+            return { rothEarnings: 0, penalizedAmount: 0, penalty: 0 };
+        }
+        const planPenaltyFree = this.isPenaltyFree(age, true, separationAge);
+        const roth401k = rothAccounts.roth401k || { balance: 0, basis: 0 };
+        const rothIRA = rothAccounts.rothIRA || { balance: 0, basis: 0 };
+
+        const roth401kEarningsShare = roth401k.balance > 0 ? Math.max(0, 1 - roth401k.basis / roth401k.balance) : 0;
+        const roth401kEarnings = (withdrawals.roth401k || 0) * roth401kEarningsShare;
+        const rothIRAEarnings = Math.max(0, (withdrawals.rothIRA || 0) - rothIRA.basis);
+
+        const penalizedAmount = (planPenaltyFree ? 0 : Math.max(0, (withdrawals.traditional || 0) - seppPayment) + roth401kEarnings)
+            + rothIRAEarnings;
+        return {
+            rothEarnings: roth401kEarnings + rothIRAEarnings,
+            penalizedAmount,
+            penalty: penalizedAmount * EARLY_WITHDRAWAL_PENALTY_RATE
+        };
+    }
+}
+
+class FinancialCalculator {
+    /**
+     * `options` holds the rest of the scenario: { targetTakeHome, roth401kMax, rothIRA,
+     * taxProfile, projection, afterTax401k, hsa } (see ScenarioRunner.getScenarioOptions).
+     */
+    static calculate401KScenario(grossSalary, contributionPercent, employerPlan, investmentReturn, years, options = {}) {
+        const { targetTakeHome = null, roth401kMax = 0, rothIRA = 0, taxProfile = {}, projection = {}, afterTax401k = 0, hsa = {} } = options;
+        const vesting = EmployerPlan.normalize(employerPlan).vesting;
+        let yearsOfService = vesting.yearsOfService;
+
+        // Salary, contribution rate, limits and catch-up eligibility are re-applied each year
+        const yearlyFlows = [];
+        for (let year = 0; year < Math.max(years, 1); year++) {
+            const flow = this.calculate401KYear(
+                this.projectSalary(grossSalary, year, projection),
+                this.projectContributionPercent(contributionPercent, year, projection),
+                employerPlan,
+                targetTakeHome,
+                roth401kMax,
+                rothIRA,
+                this.projectTaxProfile(taxProfile, year),
+                afterTax401k,
+                hsa
+            );
+
+            // Leaving the employer (or retiring) forfeits the unvested employer balance; a later
+            // job is assumed to offer the same plan, with service counted from zero
+            yearsOfService += 1;
+            const separation = year === years - 1 || year + 1 === projection.yearsUntilLeave;
+            yearlyFlows.push({ ...flow, separation, vestedPercent: EmployerPlan.getVestedPercent(yearsOfService, vesting) });
+            if (separation) {
+                yearsOfService = 0;
+            }
+        }
+
+        const ledger = this.buildLedger(yearlyFlows.slice(0, years), ACCOUNT_BUCKETS.with401k, investmentReturn, taxProfile, projection.dividendYield);
+        const balances = this.getFinalBalances(ledger, ACCOUNT_BUCKETS.with401k);
+
+        return {
+            ...yearlyFlows[0],
+            ledger,
+            lifetimeContributions: this.sumContributions(ledger, ACCOUNT_BUCKETS.with401k),
+            totalFutureValue: balances.trad401k + balances.roth401k + balances.afterTax + balances.employer + balances.rothIRA + balances.hsa + balances.brokerage,
+            futureValueTrad401k: balances.trad401k,
+            futureValueRoth401k: balances.roth401k,
+            futureValueAfterTax401k: balances.afterTax,
+            futureValueEmployerMatch: balances.employer,
+            employerForfeitures: ledger.reduce((sum, entry) => sum + entry.forfeited, 0),
+            futureValueRothIRA: balances.rothIRA,
+            futureValueHsa: balances.hsa,
+            futureValueAdditionalBrokerage: balances.brokerage,
+            brokerageBasis: this.getFinalBrokerageBasis(ledger)
+        };
+    }
+
+    // One year of contributions, taxes and take-home under the given year's limits and brackets
+    static calculate401KYear(grossSalary, contributionPercent, employerPlan, targetTakeHome, roth401kMax, rothIRA, taxProfile, afterTax401k = 0, hsa = {}) {
+        const limits = TaxCalculator.getLimits(taxProfile);
+
+        // contributionPercent is now for Traditional 401K only
+        const trad401kContribution = Math.min(grossSalary * (contributionPercent / 100), limits.employee401k);
+        const roth401kContribution = Math.min(roth401kMax, limits.employee401k - trad401kContribution);
+        const total401kContribution = trad401kContribution + roth401kContribution;
+
+        // Both traditional and Roth deferrals earn the match
+        const plannedDeferral = grossSalary * (contributionPercent / 100) + roth401kMax;
+        const employer = EmployerPlan.calculateContribution(grossSalary, total401kContribution, plannedDeferral, employerPlan, limits);
+        const employerContribution = employer.total;
+
+        // After-tax (non-Roth) 401K dollars fill whatever room the annual additions limit has left
+        const afterTax401kContribution = Math.min(afterTax401k, Math.max(limits.total401k - total401kContribution - employerContribution, 0));
+
+        const hsaContribution = this.calculateHsaContribution(hsa, limits);
+
+        // Only traditional 401k and payroll HSA contributions reduce taxable income
+        const payrollWages = TaxCalculator.calculateWageBases(grossSalary, { traditional401k: trad401kContribution, hsa: hsaContribution.employee, employerHsa: hsaContribution.employer }, taxProfile);
+
+        // Roth IRA is a separate, post-tax contribution
+        const { roth, wages, taxes } = this.applyRothIRA(rothIRA, payrollWages, limits, taxProfile);
+        const rothIRAContribution = roth.contribution;
+        const { agi, deduction, taxableIncome } = taxes.income;
+
+        // This is the total cash available after all taxes and planned (non-brokerage) investments
+        const discretionaryIncome = grossSalary - trad401kContribution - hsaContribution.employee - taxes.total - roth401kContribution - afterTax401kContribution - rothIRAContribution;
+
+        // Determine actual living expenses and additional brokerage based on the target
+        let actualLivingExpenses;
+        let additionalBrokerage;
+
+        if (targetTakeHome && discretionaryIncome >= targetTakeHome) {
+            actualLivingExpenses = targetTakeHome;
+            additionalBrokerage = discretionaryIncome - targetTakeHome;
+        } else {
+            actualLivingExpenses = discretionaryIncome;
+            additionalBrokerage = 0;
+        }
+
+        // --- For UI Display ---
+        // Re-calculate the waterfall values to be consistent with the correct logic above.
+        const afterTaxIncome = grossSalary - trad401kContribution - hsaContribution.employee - taxes.total;
+        const takeHomeAfterLiving = afterTaxIncome - actualLivingExpenses;
+        const takeHomeAfterRoth = takeHomeAfterLiving - roth401kContribution - afterTax401kContribution - rothIRAContribution;
+
+        return {
+            contributionPercent,
+            contribution: trad401kContribution, // Traditional 401K contribution only
+            employerContribution,
+            employerMatch: employer.match,
+            employerNonElective: employer.nonElective,
+            total401KContribution: total401kContribution + afterTax401kContribution + employerContribution,
+            trad401kContribution,
+            roth401kContribution,
+            afterTax401kContribution,
+            rothIRAContribution,
+            rothIRARequested: roth.requested,
+            rothIRAAllowed: roth.allowed,
+            rothIRABackdoor: roth.backdoor,
+            backdoorTaxableConversion: roth.taxableConversion,
+            hsaContribution: hsaContribution.total,
+            employeeHsaContribution: hsaContribution.employee,
+            employerHsaContribution: hsaContribution.employer,
+            additionalBrokerage,
+            agi,
+            deduction,
+            taxableIncome,
+            taxes,
+            discretionaryIncome, // Pass the correct value to the solver
+            takeHomePay: actualLivingExpenses, // Pass the correct value for UI display
+            // UI Waterfall values
+            afterTaxIncome,
+            takeHomeAfterLiving,
+            takeHomeAfterRoth,
+            grossSalary,
+            wages
+        };
+    }
+
+    // `options` is as for calculate401KScenario; the 401K-only entries are ignored
+    static calculateNo401KScenario(grossSalary, contributionPercent, investmentReturn, years, options = {}) {
+        const { targetTakeHome = null, rothIRA = 0, taxProfile = {}, projection = {}, hsa = {} } = options;
+        const yearlyFlows = [];
+        for (let year = 0; year < Math.max(years, 1); year++) {
+            yearlyFlows.push(this.calculateNo401KYear(
+                this.projectSalary(grossSalary, year, projection),
+                targetTakeHome,
+                rothIRA,
+                this.projectTaxProfile(taxProfile, year),
+                hsa
+            ));
+        }
+
+        const ledger = this.buildLedger(yearlyFlows.slice(0, years), ACCOUNT_BUCKETS.no401k, investmentReturn, taxProfile, projection.dividendYield);
+        const balances = this.getFinalBalances(ledger, ACCOUNT_BUCKETS.no401k);
+
+        return {
+            ...yearlyFlows[0],
+            ledger,
+            lifetimeContributions: this.sumContributions(ledger, ACCOUNT_BUCKETS.no401k),
+            futureValueBrokerage: balances.brokerage + balances.rothIRA, // Combined post-tax investments
+            futureValueRothIRA: balances.rothIRA,
+            futureValueHsa: balances.hsa,
+            totalFutureValue: balances.brokerage + balances.rothIRA + balances.hsa,
+            brokerageBasis: this.getFinalBrokerageBasis(ledger)
+        };
+    }
+
+    static calculateNo401KYear(grossSalary, targetTakeHome, rothIRA, taxProfile, hsa = {}) {
+        const limits = TaxCalculator.getLimits(taxProfile);
+        const hsaContribution = this.calculateHsaContribution(hsa, limits);
+        const payrollWages = TaxCalculator.calculateWageBases(grossSalary, { hsa: hsaContribution.employee, employerHsa: hsaContribution.employer }, taxProfile);
+
+        // Roth IRA is a post-tax contribution
+        const { roth, wages, taxes } = this.applyRothIRA(rothIRA, payrollWages, limits, taxProfile);
+        const rothIRAContribution = roth.contribution;
+        const { agi, deduction, taxableIncome } = taxes.income;
+        const afterTaxIncome = grossSalary - hsaContribution.employee - taxes.total;
+
+        const discretionaryIncome = afterTaxIncome - rothIRAContribution;
+
+        // Determine actual living expenses and additional brokerage based on the target
+        let actualLivingExpenses;
+        let brokerageInvestment;
+
+        if (targetTakeHome && discretionaryIncome >= targetTakeHome) {
+            actualLivingExpenses = targetTakeHome;
+            brokerageInvestment = discretionaryIncome - targetTakeHome;
+        } else {
+            actualLivingExpenses = discretionaryIncome;
+            brokerageInvestment = 0;
+        }
+        
+        // --- For UI Display ---
+        const takeHomeAfterLiving = afterTaxIncome - actualLivingExpenses;
+        const takeHomeAfterRoth = takeHomeAfterLiving - rothIRAContribution;
+
+        return {
+            agi,
+            deduction,
+            taxableIncome,
+            taxes,
+            discretionaryIncome, // Pass the correct value to the solver
+            takeHomePay: actualLivingExpenses, // Pass the correct value for UI display
+            brokerageInvestment,
+            rothIRAContribution,
+            rothIRARequested: roth.requested,
+            rothIRAAllowed: roth.allowed,
+            rothIRABackdoor: roth.backdoor,
+            backdoorTaxableConversion: roth.taxableConversion,
+            hsaContribution: hsaContribution.total,
+            employeeHsaContribution: hsaContribution.employee,
+            employerHsaContribution: hsaContribution.employer,
+            grossSalary,
+            wages,
+            // UI Waterfall values
+            afterTaxIncome,
+            takeHomeAfterLiving,
+            takeHomeAfterRoth,
+        };
+    }
+
+    // The employer's HSA contribution counts toward the coverage limit first; yours fills the rest
+    static calculateHsaContribution(hsa = {}, limits = {}) {
+        if (!hsa.coverage || hsa.coverage === 'none') {
+            return { employee: 0, employer: 0, total: 0 };
+        }
+        const limit = hsa.coverage === 'family' ? limits.hsaFamily : limits.hsaSelf;
+        const employer = Math.min(hsa.employerContribution || 0, limit);
+        const employee = Math.min(hsa.contribution || 0, limit - employer);
+        return { employee, employer, total: employee + employer };
+    }
+
+    // Accepts a plain contribution amount or { amount, method: 'direct'|'backdoor', traditionalIraBalance }
+    static normalizeRothIRA(rothIRA = 0) {
+        if (typeof rothIRA === 'number') {
+            return { amount: rothIRA, method: 'direct', traditionalIraBalance: 0 };
+        }
+        return { amount: 0, method: 'direct', traditionalIraBalance: 0, ...rothIRA };
+    }
+
+    /**
+     * Roth IRA contribution allowed at a MAGI: the limit shrinks linearly across the filing
+     * status's phase-out range, rounded up to $10 and never below $200 until it reaches zero.
+     * A backdoor Roth contributes the full amount to a traditional IRA without a deduction and
+     * converts it; under the pro-rata rule the conversion is taxable in proportion to the pre-tax
+     * `traditionalIraBalance` (held constant) among all traditional IRA money.
+     */
+    static calculateRothIRAContribution(rothIRA, magi, limits, taxProfile = {}) {
+        const { amount, method, traditionalIraBalance } = this.normalizeRothIRA(rothIRA);
+        const requested = Math.min(Math.max(amount, 0), limits.ira);
+        const { start, end } = TaxCalculator.getRothIraPhaseOut(taxProfile);
+
+        let allowed = limits.ira;
+        if (magi >= end) {
+            allowed = 0;
+        } else if (magi > start) {
+            const reduced = Math.ceil((limits.ira * (end - magi)) / (end - start) / 10) * 10;
+            allowed = Math.min(Math.max(reduced, 200), limits.ira);
+        }
+
+        if (method !== 'backdoor') {
+            return { contribution: Math.min(requested, allowed), requested, allowed, backdoor: false, taxableConversion: 0 };
+        }
+        const preTaxBalance = Math.max(traditionalIraBalance, 0);
+        const taxableConversion = requested > 0 ? (requested * preTaxBalance) / (preTaxBalance + requested) : 0;
+        return { contribution: requested, requested, allowed, backdoor: true, taxableConversion };
+    }
+
+    // MAGI is the AGI before any conversion; the taxable part of a backdoor conversion is then taxed as ordinary income
+    static applyRothIRA(rothIRA, payrollWages, limits, taxProfile) {
+        const payrollTaxes = TaxCalculator.calculateTotalTaxes(payrollWages, taxProfile);
+        const roth = this.calculateRothIRAContribution(rothIRA, payrollTaxes.income.agi, limits, taxProfile);
+        if (roth.taxableConversion <= 0) {
+            return { roth, wages: payrollWages, taxes: payrollTaxes };
+        }
+
+        const conversion = TaxCalculator.toIncomeBases(roth.taxableConversion, taxProfile);
+        const wages = {
+            ...payrollWages,
+            federalWages: payrollWages.federalWages + conversion.federalWages,
+            stateWages: payrollWages.stateWages + conversion.stateWages
+        };
+        return { roth, wages, taxes: TaxCalculator.calculateTotalTaxes(wages, taxProfile) };
+    }
+
+    static calculateFutureValue(annualContribution, annualReturn, years) {
+        const monthlyContribution = annualContribution / 12;
+        const monthlyReturn = annualReturn / 100 / 12;
+        const totalMonths = years * 12;
+        
+        if (monthlyReturn === 0) {
+            return monthlyContribution * totalMonths;
+        }
+        
+        return monthlyContribution * ((Math.pow(1 + monthlyReturn, totalMonths) - 1) / monthlyReturn);
+    }
+
+    static projectSalary(grossSalary, year, projection = {}) {
+        return grossSalary * Math.pow(1 + (projection.salaryGrowth || 0) / 100, year);
+    }
+
+    // Auto-escalation raises the traditional contribution rate each year until it reaches the cap
+    static projectContributionPercent(contributionPercent, year, projection = {}) {
+        const escalationRate = projection.escalationRate || 0;
+        if (escalationRate <= 0) {
+            return contributionPercent;
+        }
+        const escalationCap = projection.escalationCap ?? 100;
+        return Math.max(contributionPercent, Math.min(contributionPercent + escalationRate * year, escalationCap));
+    }
+
+    /**
+     * Year-by-year account ledger: every bucket compounds monthly over the year and receives
+     * that year's contribution in monthly installments. `buckets` maps ledger bucket names to
+     * the contribution field of each yearly flow.
+     *
+     * The brokerage bucket also tracks its cost basis. Dividends (`dividendYield` % of the
+     * opening balance, part of the total return) are taxed each year on top of that year's
+     * wages; the tax is paid out of the account and the reinvested remainder adds to basis.
+     */
+    static buildLedger(yearlyFlows, buckets, investmentReturn, taxProfile = {}, dividendYield = 0) {
+        const growthPerYear = Math.pow(1 + investmentReturn / 100 / 12, 12);
+        const balances = Object.fromEntries(Object.keys(buckets).map(bucket => [bucket, 0]));
+        // Employer dollars from the current job, still subject to its vesting schedule
+        let currentEmployerBalance = 0;
+        let brokerageBasis = 0;
+
+        return yearlyFlows.map((flow, index) => {
+            const dividends = buckets.brokerage ? balances.brokerage * (dividendYield / 100) : 0;
+            const contributions = {};
+            Object.entries(buckets).forEach(([bucket, field]) => {
+                contributions[bucket] = flow[field];
+                balances[bucket] = balances[bucket] * growthPerYear + this.calculateFutureValue(flow[field], investmentReturn, 1);
+            });
+
+            let dividendTax = 0;
+            if (buckets.brokerage) {
+                if (dividends > 0 && flow.wages) {
+                    const yearProfile = this.projectTaxProfile(taxProfile, index);
+                    dividendTax = TaxCalculator.calculateIncomeTaxes({ ...flow.wages, capitalGains: dividends }, yearProfile).total
+                        - TaxCalculator.calculateIncomeTaxes(flow.wages, yearProfile).total;
+                    balances.brokerage -= dividendTax;
+                }
+                brokerageBasis += contributions.brokerage + dividends - dividendTax;
+            }
+
+            let forfeited = 0;
+            if (buckets.employer) {
+                currentEmployerBalance = currentEmployerBalance * growthPerYear + this.calculateFutureValue(flow[buckets.employer], investmentReturn, 1);
+                if (flow.separation) {
+                    forfeited = currentEmployerBalance * (1 - (flow.vestedPercent ?? 100) / 100);
+                    balances.employer -= forfeited;
+                    currentEmployerBalance = 0;
+                }
+            }
+
+            return {
+                year: (taxProfile.taxYear ?? DEFAULT_TAX_YEAR) + index,
+                age: taxProfile.age == null ? null : taxProfile.age + index,
+                salary: flow.grossSalary,
+                contributionPercent: flow.contributionPercent ?? 0,
+                contributions,
+                taxes: flow.taxes.total,
+                takeHomePay: flow.takeHomePay,
+                vestedPercent: flow.vestedPercent ?? null,
+                forfeited,
+                dividendTax,
+                brokerageBasis,
+                balances: { ...balances },
+                totalBalance: Object.values(balances).reduce((sum, balance) => sum + balance, 0)
+            };
+        });
+    }
+
+    static getFinalBalances(ledger, buckets) {
+        const emptyBalances = Object.fromEntries(Object.keys(buckets).map(bucket => [bucket, 0]));
+        return ledger.length ? ledger[ledger.length - 1].balances : emptyBalances;
+    }
+
+    static getFinalBrokerageBasis(ledger) {
+        return ledger.length ? ledger[ledger.length - 1].brokerageBasis : 0;
+    }
+
+    static sumContributions(ledger, buckets) {
+        return Object.fromEntries(Object.keys(buckets).map(bucket => [
+            bucket,
+            ledger.reduce((sum, entry) => sum + entry.contributions[bucket], 0)
+        ]));
+    }
+
+    /**
+     * One path through accumulation and drawdown under a sequence of annual returns (in %), one
+     * per year. Each working year compounds monthly like buildLedger and each retirement year
+     * pays its withdrawal at year end like calculateAnnualWithdrawal, so a constant sequence
+     * reproduces the fixed-return projection. A path is depleted once a withdrawal can't be covered.
+     */
+    static simulateReturnPath(annualFlows, annualWithdrawal, retirementYears, returns) {
+        const balances = [];
+        let balance = 0;
+
+        annualFlows.forEach((flow, year) => {
+            const growth = Math.pow(1 + returns[year] / 100 / 12, 12);
+            balance = Math.max(balance * growth + this.calculateFutureValue(flow, returns[year], 1), 0);
+            balances.push(balance);
+        });
+        const retirementBalance = balance;
+
+        let depleted = false;
+        for (let year = 0; year < retirementYears; year++) {
+            balance = balance * (1 + returns[annualFlows.length + year] / 100) - annualWithdrawal;
+            // A dollar of slack absorbs rounding when the last withdrawal exactly empties the account
+            if (balance < -1) {
+                depleted = true;
+            }
+            balance = Math.max(balance, 0);
+            balances.push(balance);
+        }
+
+        return { balances, retirementBalance, endingBalance: balance, depleted };
+    }
+
+    // Net dollars entering the portfolio each year: all contributions less forfeited employer dollars
+    static getLedgerFlows(ledger) {
+        return ledger.map(entry => Object.values(entry.contributions).reduce((sum, amount) => sum + amount, 0) - (entry.forfeited || 0));
+    }
+
+    // Deflates a nominal amount received `years` from now into today's dollars
+    static toRealDollars(amount, inflationRate, years) {
+        return amount / Math.pow(1 + inflationRate / 100, years);
+    }
+
+    // Withdrawal results in today's dollars; tax rates are unaffected by the dollar basis
+    static toRealWithdrawals(withdrawalTaxes, inflationRate, years) {
+        return Object.fromEntries(Object.entries(withdrawalTaxes).map(([type, result]) => [
+            type,
+            Object.fromEntries(Object.entries(result).map(([field, value]) => [
+                field,
+                field === 'taxRate' ? value : this.toRealDollars(value, inflationRate, years)
+            ]))
+        ]));
+    }
+
+    static formatCurrency(amount) {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD',
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0
+        }).format(amount);
+    }
+
+    static formatPercent(percent) {
+        return `${percent.toFixed(1)}%`;
+    }
+
+    /**
+     * Taxes on drawing down every account. Brokerage withdrawals realize gains in proportion to
+     * the account's unrealized gain (`futureValueBrokerage` less `brokerageBasis`); capital gains
+     * taxes are what those gains add to the ordinary income taxes, stacked brackets and NIIT included.
+     * `early` ({ age, separationAge, useSepp, roth401kBasis, rothIRABasis }) applies the
+     * early-withdrawal rules from the age withdrawals start; distributed withdrawals report the
+     * first year, and a 72(t) schedule only covers them (a lump sum can't be periodic).
+     * `afterTax401k` ({ balance, basis, converted }) is after-tax 401K money: converted in-plan it
+     * is Roth 401K money, otherwise its contributions come out tax-free and its earnings are taxed
+     * like pre-tax dollars. HSA withdrawals (`hsa` is { balance, medicalExpenses }) are tax-free up
+     * to a year's qualified medical expenses.
+     */
+    static calculateCombinedWithdrawalTaxes(futureValueTrad, futureValueRoth, futureValueEmployer, futureValueRothIRA, futureValueBrokerage, retirementIncome, investmentReturn = 7, retirementYears = 20, taxProfile = {}, brokerageBasis = 0, early = {}, afterTax401k = {}, hsa = {}) {
+        const results = {};
+        const futureValueAfterTax = afterTax401k.balance || 0;
+        const afterTaxBasis = Math.min(afterTax401k.basis ?? futureValueAfterTax, futureValueAfterTax);
+        const convertedAfterTax = afterTax401k.converted ? futureValueAfterTax : 0;
+        const afterTaxEarningsShare = !afterTax401k.converted && futureValueAfterTax > 0 ? 1 - afterTaxBasis / futureValueAfterTax : 0;
+        const futureValueHsa = hsa.balance || 0;
+        const totalFutureValue = futureValueTrad + futureValueRoth + futureValueAfterTax + futureValueEmployer + futureValueRothIRA + futureValueHsa + futureValueBrokerage;
+        // Working-year adjustments and itemized deductions don't carry into retirement
+        const retirementTaxProfile = {
+            filingStatus: taxProfile.filingStatus,
+            state: taxProfile.state,
+            locality: taxProfile.locality,
+            taxYear: taxProfile.taxYear,
+            indexingRate: taxProfile.indexingRate
+        };
+
+        // Without a known contribution basis, Roth balances are treated as all contributions
+        const rothAccounts = {
+            roth401k: {
+                balance: futureValueRoth + convertedAfterTax,
+                basis: (early.roth401kBasis ?? futureValueRoth) + (afterTax401k.converted ? afterTaxBasis : 0)
+            },
+            rothIRA: { balance: futureValueRothIRA, basis: early.rothIRABasis ?? futureValueRothIRA }
+        };
+
+        // Lump Sum Withdrawal
+        const lumpSumAfterTaxEarnings = futureValueAfterTax * afterTaxEarningsShare;
+        const lumpSumEarly = EarlyWithdrawalRules.calculatePenalties(
+            { traditional: futureValueTrad + futureValueEmployer + lumpSumAfterTaxEarnings, roth401k: futureValueRoth + convertedAfterTax, rothIRA: futureValueRothIRA },
+            rothAccounts,
+            { age: early.age, separationAge: early.separationAge }
+        );
+        let lumpSumIncome = retirementIncome;
+        lumpSumIncome += futureValueTrad; // Employee traditional contributions are pre-tax
+        lumpSumIncome += futureValueEmployer; // Employer match is always pre-tax
+        lumpSumIncome += lumpSumAfterTaxEarnings; // Unconverted after-tax dollars grew tax-deferred
+        const lumpSumHsa = EarlyWithdrawalRules.calculateHsaWithdrawal(futureValueHsa, hsa.medicalExpenses, early.age);
+        lumpSumIncome += lumpSumHsa.taxableIncome; // HSA money not spent on medical care
+        lumpSumIncome += lumpSumEarly.rothEarnings; // Early Roth earnings are taxable too
+
+        const gainShare = futureValueBrokerage > 0 ? Math.max(0, 1 - brokerageBasis / futureValueBrokerage) : 0;
+        const incomeTaxes = TaxCalculator.calculateIncomeTaxes(lumpSumIncome, retirementTaxProfile);
+        const capitalGainsTaxes = this.calculateCapitalGainsTaxes(lumpSumIncome, futureValueBrokerage * gainShare, retirementTaxProfile);
+        const lumpSumPenalties = lumpSumEarly.penalty + lumpSumHsa.penalty;
+        const totalLumpSumTaxes = incomeTaxes.total + capitalGainsTaxes + lumpSumPenalties;
+
+        results.lumpSum = {
+            total: totalFutureValue,
+            taxes: totalLumpSumTaxes,
+            incomeTaxes: incomeTaxes.total,
+            capitalGainsTaxes: capitalGainsTaxes,
+            penalties: lumpSumPenalties,
+            net: totalFutureValue - totalLumpSumTaxes,
+            taxRate: totalFutureValue > 0 ? (totalLumpSumTaxes / totalFutureValue) * 100 : 0
+        };
+
+        // Annual Withdrawals
+        const annualReturn = investmentReturn / 100;
+        const totalAnnualWithdrawal = this.calculateAnnualWithdrawal(totalFutureValue, annualReturn, retirementYears);
+        
+        const proportionTrad = totalFutureValue > 0 ? futureValueTrad / totalFutureValue : 0;
+        const proportionRoth = totalFutureValue > 0 ? futureValueRoth / totalFutureValue : 0;
+        const proportionAfterTax = totalFutureValue > 0 ? futureValueAfterTax / totalFutureValue : 0;
+        const proportionEmployer = totalFutureValue > 0 ? futureValueEmployer / totalFutureValue : 0;
+        const proportionRothIRA = totalFutureValue > 0 ? futureValueRothIRA / totalFutureValue : 0;
+        const proportionHsa = totalFutureValue > 0 ? futureValueHsa / totalFutureValue : 0;
+        const proportionBrokerage = totalFutureValue > 0 ? futureValueBrokerage / totalFutureValue : 0;
+
+        const annualFromTrad = totalAnnualWithdrawal * proportionTrad;
+        const annualFromRoth = totalAnnualWithdrawal * proportionRoth;
+        const annualFromAfterTax = totalAnnualWithdrawal * proportionAfterTax;
+        const annualAfterTaxEarnings = annualFromAfterTax * afterTaxEarningsShare;
+        const annualFromEmployer = totalAnnualWithdrawal * proportionEmployer;
+        const annualFromRothIRA = totalAnnualWithdrawal * proportionRothIRA;
+        const annualHsa = EarlyWithdrawalRules.calculateHsaWithdrawal(totalAnnualWithdrawal * proportionHsa, hsa.medicalExpenses, early.age);
+        const annualFromBrokerage = totalAnnualWithdrawal * proportionBrokerage;
+
+        const annualEarly = EarlyWithdrawalRules.calculatePenalties(
+            {
+                traditional: annualFromTrad + annualFromEmployer + annualAfterTaxEarnings,
+                roth401k: annualFromRoth + (afterTax401k.converted ? annualFromAfterTax : 0),
+                rothIRA: annualFromRothIRA
+            },
+            rothAccounts,
+            {
+                age: early.age,
+                separationAge: early.separationAge,
+                seppPayment: early.useSepp ? EarlyWithdrawalRules.calculateSeppPayment(futureValueTrad + futureValueEmployer + futureValueAfterTax - convertedAfterTax, early.age) : 0
+            }
+        );
+
+        let annualTaxableIncome = retirementIncome;
+        annualTaxableIncome += annualFromTrad;
+        annualTaxableIncome += annualFromEmployer;
+        annualTaxableIncome += annualAfterTaxEarnings;
+        annualTaxableIncome += annualHsa.taxableIncome;
+        annualTaxableIncome += annualEarly.rothEarnings;
+        
+        const annualIncomeTaxes = TaxCalculator.calculateIncomeTaxes(annualTaxableIncome, retirementTaxProfile);
+
+        const annualCapitalGainsTaxes = this.calculateCapitalGainsTaxes(annualTaxableIncome, annualFromBrokerage * gainShare, retirementTaxProfile);
+        const annualPenalties = annualEarly.penalty + annualHsa.penalty;
+        const totalAnnualTaxes = annualIncomeTaxes.total + annualCapitalGainsTaxes + annualPenalties;
+
+        results.annual = {
+            withdrawal: totalAnnualWithdrawal,
+            taxes: totalAnnualTaxes,
+            incomeTaxes: annualIncomeTaxes.total,
+            capitalGainsTaxes: annualCapitalGainsTaxes,
+            penalties: annualPenalties,
+            net: totalAnnualWithdrawal - totalAnnualTaxes,
+            taxRate: totalAnnualWithdrawal > 0 ? (totalAnnualTaxes / totalAnnualWithdrawal) * 100 : 0
+        };
+        
+        return results;
+    }
+
+    // Ordinary income taxes are owed either way, so the gains are taxed on top of `ordinaryIncome`
+    static calculateCapitalGainsTaxes(ordinaryIncome, capitalGains, taxProfile = {}) {
+        if (capitalGains <= 0) {
+            return 0;
+        }
+        const ordinaryBases = TaxCalculator.toIncomeBases(ordinaryIncome, taxProfile);
+        return TaxCalculator.calculateIncomeTaxes({ ...ordinaryBases, capitalGains }, taxProfile).total
+            - TaxCalculator.calculateIncomeTaxes(ordinaryBases, taxProfile).total;
+    }
+
+    /**
+     * `costBasis` is the after-tax money put in (including reinvested dividends); only the rest is
+     * taxed. `futureValueBrokerage` may include a Roth IRA, counted in `costBasis`; before 59½ its
+     * earnings beyond `early.rothIRABasis` are taxed and penalized instead. An HSA
+     * (`hsa.balance`) is drawn alongside, tax-free up to `hsa.medicalExpenses` a year.
+     */
+    static calculateBrokerageWithdrawalTaxes(futureValueBrokerage, retirementIncome, investmentReturn = 7, retirementYears = 20, taxProfile = {}, costBasis = 0, early = {}, hsa = {}) {
+        const results = {};
+        const hsaBalance = hsa.balance || 0;
+        const totalFutureValue = futureValueBrokerage + hsaBalance;
+        const gainShare = futureValueBrokerage > 0 ? Math.max(0, 1 - costBasis / futureValueBrokerage) : 0;
+        const retirementTaxProfile = {
+            filingStatus: taxProfile.filingStatus,
+            state: taxProfile.state,
+            locality: taxProfile.locality,
+            taxYear: taxProfile.taxYear,
+            indexingRate: taxProfile.indexingRate
+        };
+
+        const rothIRABalance = early.rothIRABalance || 0;
+        const rothAccounts = { rothIRA: { balance: rothIRABalance, basis: early.rothIRABasis ?? rothIRABalance } };
+        const baseIncomeTaxes = TaxCalculator.calculateIncomeTaxes(retirementIncome, retirementTaxProfile).total;
+        const withdrawalTaxes = (withdrawal) => {
+            const fromHsa = totalFutureValue > 0 ? withdrawal * (hsaBalance / totalFutureValue) : 0;
+            const fromInvestments = withdrawal - fromHsa;
+            const rothShare = futureValueBrokerage > 0 ? rothIRABalance / futureValueBrokerage : 0;
+            const penalties = EarlyWithdrawalRules.calculatePenalties({ rothIRA: fromInvestments * rothShare }, rothAccounts, { age: early.age });
+            const hsaWithdrawal = EarlyWithdrawalRules.calculateHsaWithdrawal(fromHsa, hsa.medicalExpenses, early.age);
+            const ordinaryIncome = retirementIncome + penalties.rothEarnings + hsaWithdrawal.taxableIncome;
+            const incomeTaxes = TaxCalculator.calculateIncomeTaxes(ordinaryIncome, retirementTaxProfile).total - baseIncomeTaxes;
+            const capitalGainsTaxes = this.calculateCapitalGainsTaxes(ordinaryIncome, fromInvestments * gainShare, retirementTaxProfile);
+            const taxes = incomeTaxes + capitalGainsTaxes + penalties.penalty + hsaWithdrawal.penalty;
+            return {
+                withdrawal,
+                taxes,
+                incomeTaxes,
+                capitalGainsTaxes,
+                penalties: penalties.penalty + hsaWithdrawal.penalty,
+                net: withdrawal - taxes,
+                taxRate: withdrawal > 0 ? (taxes / withdrawal) * 100 : 0
+            };
+        };
+
+        // Lump sum withdrawal - only capital gains (and early Roth IRA earnings) are taxed
+        const { withdrawal: total, ...lumpSum } = withdrawalTaxes(totalFutureValue);
+        results.lumpSum = { total, ...lumpSum };
+        
+        // Annual withdrawals with continued earnings
+        const annualReturn = investmentReturn / 100;
+        const annualWithdrawal = this.calculateAnnualWithdrawal(totalFutureValue, annualReturn, retirementYears);
+        
+        // For annual withdrawals, only the growth portion is taxed as capital gains
+        results.annual = withdrawalTaxes(annualWithdrawal);
+        
+        return results;
+    }
+
+    static calculateAnnualWithdrawal(principal, annualReturn, years) {
+        // Calculate the annual withdrawal amount that will deplete the account over the given years
+        // while accounting for continued growth on the remaining balance
+        if (annualReturn === 0) {
+            return principal / years;
+        }
+        
+        // Using the annuity formula: PMT = PV * [r(1+r)^n] / [(1+r)^n - 1]
+        const numerator = annualReturn * Math.pow(1 + annualReturn, years);
+        const denominator = Math.pow(1 + annualReturn, years) - 1;
+        return principal * (numerator / denominator);
+    }
+
+    // Tax profile for a year `yearsAhead` of the profile's tax year, e.g. the first year of retirement
+    static projectTaxProfile(taxProfile, yearsAhead) {
+        return {
+            ...taxProfile,
+            taxYear: (taxProfile.taxYear ?? DEFAULT_TAX_YEAR) + yearsAhead,
+            age: taxProfile.age == null ? taxProfile.age : taxProfile.age + yearsAhead
+        };
+    }
+
+    static getPeriodTakeHome(annualTakeHome, frequency) {
+        const periodsPerYear = SALARY_FREQUENCY[frequency];
+        return annualTakeHome / periodsPerYear;
+    }
+
+    // Highest traditional 401K % whose first year still leaves `targetAnnualTakeHome`, with every
+    // other contribution in `inputs` (Roth, after-tax, HSA, Roth IRA) made as entered
+    static findMaxContributionForTarget(inputs, targetAnnualTakeHome = inputs.targetAnnualTakeHome) {
+        const options = { ...ScenarioRunner.getScenarioOptions(inputs), targetTakeHome: targetAnnualTakeHome };
+
+        // Binary search to find the maximum contribution % that still meets target
+        let low = 0;
+        let high = Math.min(100, (TaxCalculator.getLimits(inputs.taxProfile).employee401k / inputs.grossSalary) * 100);
+        let bestPercent = 0;
+        
+        for (let i = 0; i < 30; i++) {
+            const mid = (low + high) / 2;
+            const scenario = this.calculate401KScenario(inputs.grossSalary, mid, inputs.employerPlan, inputs.investmentReturn, inputs.years, options);
+            
+            // Check if this contribution % allows us to meet the target take-home
+            if (scenario.discretionaryIncome >= targetAnnualTakeHome - 1) {
+                // This contribution % still meets target
+                bestPercent = mid;
+                low = mid;
+            } else {
+                // This contribution % is too high
+                high = mid;
+            }
+        }
+        
+        // Rounded down, since rounding up could miss the target
+        return Math.floor(bestPercent * 10) / 10;
+    }
+
+    // The take-home solver's answer: the highest % meeting the target and the take-home at 0%
+    static solveTakeHomeTarget(inputs, targetAnnualTakeHome) {
+        const atZero = this.calculate401KScenario(
+            inputs.grossSalary, 0, inputs.employerPlan, inputs.investmentReturn, inputs.years,
+            { ...ScenarioRunner.getScenarioOptions(inputs), targetTakeHome: targetAnnualTakeHome }
+        );
+        return {
+            contributionPercent: this.findMaxContributionForTarget(inputs, targetAnnualTakeHome),
+            takeHomeAtZero: atZero.discretionaryIncome
+        };
+    }
+
+}
+
+class RetirementPlanner {
+    // SECURE 2.0 start ages: 73 for those born 1951-1959, 75 for 1960 or later
+    static getRmdStartAge(birthYear) {
+        if (birthYear >= 1960) {
+            return 75;
+        }
+        return birthYear >= 1951 ? 73 : 72;
+    }
+
+    // Required minimum distribution for a year from the prior year-end traditional balance
+    static calculateRmd(balance, age, birthYear) {
+        if (balance <= 0 || age < this.getRmdStartAge(birthYear)) {
+            return 0;
+        }
+        return balance / RMD_UNIFORM_LIFETIME_TABLE[Math.min(age, 120)];
+    }
+
+    /**
+     * Realized gains stack on top of ordinary income; their federal tax and NIIT are reported as
+     * capital gains taxes. `early` ({ age, separationAge, rothBasis }) adds early-withdrawal
+     * penalties, treating the Roth bucket like a Roth IRA (contributions first).
+     */
+    static calculateYearTaxes(withdrawals, socialSecurity, otherIncome, gainShare, taxProfile, early = {}) {
+        const penalties = EarlyWithdrawalRules.calculatePenalties(
+            { traditional: withdrawals.traditional, rothIRA: withdrawals.roth },
+            { rothIRA: { balance: withdrawals.roth, basis: early.rothBasis ?? withdrawals.roth } },
+            early
+        );
+        const ordinaryIncome = withdrawals.traditional + penalties.rothEarnings + otherIncome;
+        const realizedGains = withdrawals.taxable * gainShare;
+        const taxableSocialSecurity = TaxCalculator.calculateTaxableSocialSecurity(socialSecurity, ordinaryIncome + realizedGains, taxProfile.filingStatus);
+        const taxes = TaxCalculator.calculateIncomeTaxes(TaxCalculator.toRetirementIncomeBases(ordinaryIncome, taxableSocialSecurity, taxProfile, realizedGains), taxProfile);
+        const capitalGainsTaxes = taxes.capitalGains + taxes.niit;
+        return {
+            incomeTaxes: taxes.total - capitalGainsTaxes,
+            capitalGainsTaxes,
+            penalties: penalties.penalty,
+            taxableSocialSecurity,
+            total: taxes.total + penalties.penalty
+        };
+    }
+
+    /**
+     * Gross withdrawals covering `cashNeeded` on top of the RMD, following the strategy's order.
+     * `bracketRoom` is how much traditional income fits below the target bracket ceiling; the
+     * bracket-filling strategy draws it even when the year's spending doesn't need it.
+     */
+    static allocateWithdrawals(cashNeeded, rmd, balances, strategy, bracketRoom = 0) {
+        const withdrawals = { traditional: rmd, taxable: 0, roth: 0 };
+        const available = { traditional: balances.traditional - rmd, taxable: balances.taxable, roth: balances.roth };
+        let remaining = cashNeeded - rmd;
+
+        if (strategy.fillsBracket) {
+            const fill = Math.min(Math.max(bracketRoom - rmd, 0), available.traditional);
+            withdrawals.traditional += fill;
+            available.traditional -= fill;
+            remaining -= fill;
+        }
+        if (remaining <= 0) {
+            return withdrawals;
+        }
+
+        if (strategy.proRata) {
+            const totalAvailable = available.traditional + available.taxable + available.roth;
+            const share = totalAvailable > 0 ? Math.min(remaining / totalAvailable, 1) : 0;
+            Object.keys(available).forEach(account => {
+                withdrawals[account] += available[account] * share;
+            });
+            return withdrawals;
+        }
+
+        strategy.order.forEach(account => {
+            const amount = Math.min(Math.max(remaining, 0), available[account]);
+            withdrawals[account] += amount;
+            remaining -= amount;
+        });
+        return withdrawals;
+    }
+
+    /**
+     * Year-by-year drawdown of `startBalances` ({ traditional, roth, taxable, taxableBasis, rothBasis }).
+     * Each year the after-tax `spending` need (grown with inflation, as are Social Security
+     * benefits from `socialSecurityAge`) is met from Social Security, `otherIncome`, the RMD and
+     * then the strategy's withdrawals; withdrawals beyond the need are reinvested in the taxable
+     * account. Withdrawals come out at the start of the year and the rest grows for the year.
+     * With a `conversion` ({ bracketRate, endAge }), traditional dollars are also converted to
+     * Roth up to that bracket's ceiling every year before `endAge`, the conversion tax being
+     * paid from the year's withdrawals. Before 59½, traditional withdrawals are penalized unless
+     * the Rule of 55 covers leaving work at `separationAge` (the start age by default), and Roth
+     * withdrawals beyond the contribution basis are taxed and penalized; conversions add to basis.
+     * An HSA (`startBalances.hsa`) pays up to `medicalExpenses` a year (grown with inflation and
+     * part of `spending`) tax-free before any other account is touched.
+     */
+    static simulate(startBalances, strategyKey, options = {}) {
+        const strategy = WITHDRAWAL_STRATEGIES[strategyKey] ?? WITHDRAWAL_STRATEGIES.taxableFirst;
+        const {
+            years = 20,
+            startAge = 65,
+            birthYear = DEFAULT_TAX_YEAR - startAge,
+            taxProfile = {},
+            investmentReturn = 7,
+            inflationRate = 0,
+            spending = 0,
+            socialSecurityBenefit = 0,
+            socialSecurityAge = 67,
+            otherIncome = 0,
+            bracketRate = 0.22,
+            conversion = null,
+            separationAge = startAge,
+            medicalExpenses = 0
+        } = options;
+        const growth = 1 + investmentReturn / 100;
+        const balances = { traditional: startBalances.traditional, roth: startBalances.roth, taxable: startBalances.taxable };
+        let costBasis = Math.min(startBalances.taxableBasis ?? startBalances.taxable, startBalances.taxable);
+        let rothBasis = Math.min(startBalances.rothBasis ?? startBalances.roth, startBalances.roth);
+        let hsaBalance = startBalances.hsa || 0;
+        const sumAccounts = accounts => accounts.traditional + accounts.taxable + accounts.roth;
+
+        const rows = [];
+        let depletedAge = null;
+        for (let year = 0; year < years; year++) {
+            const age = startAge + year;
+            const yearProfile = FinancialCalculator.projectTaxProfile(taxProfile, year);
+            const inflation = Math.pow(1 + inflationRate / 100, year);
+            const spendingNeed = spending * inflation;
+            const hsaWithdrawal = Math.min(medicalExpenses * inflation, spendingNeed, hsaBalance);
+            const socialSecurity = age >= socialSecurityAge ? socialSecurityBenefit * inflation : 0;
+            const rmd = this.calculateRmd(balances.traditional, age, birthYear);
+            const gainShare = balances.taxable > 0 ? Math.max(0, 1 - costBasis / balances.taxable) : 0;
+            const bracketCeiling = strategy.fillsBracket ? TaxCalculator.getBracketCeiling(bracketRate, yearProfile) : 0;
+            const converting = conversion && age < conversion.endAge;
+            const conversionCeiling = converting ? TaxCalculator.getBracketCeiling(conversion.bracketRate, yearProfile) : 0;
+            const cashNeededFor = taxes => Math.max(spendingNeed - hsaWithdrawal + taxes.total - socialSecurity - otherIncome, 0);
+            const early = { age, separationAge, rothBasis };
+
+            // Taxes depend on the withdrawals (and conversion) that pay them, so iterate to a fixed point
+            let withdrawals = { traditional: rmd, taxable: 0, roth: 0 };
+            let converted = 0;
+            let taxes = this.calculateYearTaxes(withdrawals, socialSecurity, otherIncome, gainShare, yearProfile, early);
+            for (let iteration = 0; iteration < 50; iteration++) {
+                const bracketRoom = bracketCeiling - otherIncome - taxes.taxableSocialSecurity;
+                const next = this.allocateWithdrawals(cashNeededFor(taxes), rmd, balances, strategy, bracketRoom);
+                const nextConverted = converting
+                    ? Math.min(
+                        Math.max(conversionCeiling - otherIncome - taxes.taxableSocialSecurity - next.traditional, 0),
+                        balances.traditional - next.traditional
+                    )
+                    : 0;
+                const converged = Math.abs(sumAccounts(next) + nextConverted - sumAccounts(withdrawals) - converted) < 0.5;
+                withdrawals = next;
+                converted = nextConverted;
+                taxes = this.calculateYearTaxes(withdrawals, socialSecurity, otherIncome + converted, gainShare, yearProfile, early);
+                if (converged) {
+                    break;
+                }
+            }
+
+            const cashNeeded = cashNeededFor(taxes);
+            const totalWithdrawn = sumAccounts(withdrawals);
+            const shortfall = Math.max(cashNeeded - totalWithdrawn, 0);
+            const reinvested = Math.max(totalWithdrawn - cashNeeded, 0);
+            if (shortfall > 1 && depletedAge === null) {
+                depletedAge = age;
+            }
+
+            costBasis -= withdrawals.taxable * (1 - gainShare);
+            rothBasis = Math.max(rothBasis - withdrawals.roth, 0) + converted;
+            Object.keys(balances).forEach(account => {
+                balances[account] -= withdrawals[account];
+            });
+            balances.traditional -= converted;
+            balances.roth += converted;
+            balances.taxable += reinvested;
+            costBasis += reinvested;
+            Object.keys(balances).forEach(account => {
+                balances[account] = Math.max(balances[account], 0) * growth;
+            });
+            hsaBalance = (hsaBalance - hsaWithdrawal) * growth;
+
+            rows.push({
+                year: yearProfile.taxYear,
+                age,
+                spending: spendingNeed,
+                socialSecurity,
+                taxableSocialSecurity: taxes.taxableSocialSecurity,
+                rmd,
+                withdrawals,
+                hsaWithdrawal,
+                converted,
+                reinvested,
+                taxes: taxes.total,
+                penalties: taxes.penalties,
+                shortfall,
+                balances: { ...balances, hsa: hsaBalance },
+                totalBalance: sumAccounts(balances) + hsaBalance
+            });
+        }
+
+        return {
+            strategy: strategyKey,
+            name: strategy.name,
+            rows,
+            lifetimeTaxes: rows.reduce((sum, row) => sum + row.taxes, 0),
+            endingBalance: sumAccounts(balances) + hsaBalance,
+            endingBalances: { ...balances, hsa: hsaBalance },
+            depletedAge
+        };
+    }
+
+    // What heirs keep: Roth and (stepped-up) taxable balances pass tax-free, traditional and HSA balances are taxed at their rate
+    static calculateHeirValue(endingBalances, heirTaxRate) {
+        return endingBalances.roth + endingBalances.taxable + (endingBalances.traditional + (endingBalances.hsa || 0)) * (1 - heirTaxRate);
+    }
+
+    /**
+     * Runs the same drawdown with and without Roth conversions up to `conversion.bracketRate`
+     * through the gap years before `conversion.endAge` (typically when RMDs or Social Security
+     * begin), and compares lifetime taxes and the after-tax value left to heirs.
+     */
+    static planRothConversions(startBalances, strategyKey, options = {}, conversion = {}, heirTaxRate = 0.24) {
+        const baseline = this.simulate(startBalances, strategyKey, { ...options, conversion: null });
+        const withConversions = this.simulate(startBalances, strategyKey, { ...options, conversion });
+        const baselineHeirValue = this.calculateHeirValue(baseline.endingBalances, heirTaxRate);
+        const convertedHeirValue = this.calculateHeirValue(withConversions.endingBalances, heirTaxRate);
+
+        return {
+            baseline: { ...baseline, heirValue: baselineHeirValue },
+            converted: { ...withConversions, heirValue: convertedHeirValue },
+            schedule: withConversions.rows
+                .filter(row => row.converted > 0)
+                .map(row => ({ year: row.year, age: row.age, amount: row.converted, taxes: row.taxes })),
+            lifetimeTaxSavings: baseline.lifetimeTaxes - withConversions.lifetimeTaxes,
+            heirValueGain: convertedHeirValue - baselineHeirValue
+        };
+    }
+
+    static compareStrategies(startBalances, options = {}) {
+        return Object.keys(WITHDRAWAL_STRATEGIES).map(strategyKey => this.simulate(startBalances, strategyKey, options));
+    }
+}
+
+class MonteCarloSimulator {
+    // Mulberry32: a small, fast PRNG whose sequence is fully determined by the seed
+    static createRng(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Standard normal draw via the Box-Muller transform
+    static normal(rng) {
+        const u = 1 - rng(); // (0, 1] keeps the logarithm finite
+        const v = rng();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    // Linearly interpolated percentile of an ascending array
+    static percentile(sortedValues, percent) {
+        if (!sortedValues.length) {
+            return 0;
+        }
+        const position = (sortedValues.length - 1) * (percent / 100);
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+    }
+
+    static percentiles(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        return Object.fromEntries(SIMULATION_PERCENTILES.map(percent => [`p${percent}`, this.percentile(sorted, percent)]));
+    }
+
+    /**
+     * Runs `simulations` accumulation-plus-drawdown paths with normally distributed annual
+     * returns around `meanReturn` (floored at -100%). Reproducible for a given `seed`;
+     * `onProgress(done, total)` is called after each path.
+     */
+    static run(annualFlows, annualWithdrawal, retirementYears, options = {}) {
+        const { meanReturn = 7, volatility = 15, simulations = 1000, seed = 1, onProgress = null } = options;
+        const rng = this.createRng(seed);
+        const totalYears = annualFlows.length + retirementYears;
+
+        const paths = [];
+        for (let i = 0; i < simulations; i++) {
+            const returns = Array.from({ length: totalYears }, () => Math.max(-100, meanReturn + volatility * this.normal(rng)));
+            paths.push(FinancialCalculator.simulateReturnPath(annualFlows, annualWithdrawal, retirementYears, returns));
+            onProgress?.(i + 1, simulations);
+        }
+        return this.summarizePaths(paths);
+    }
+
+    // Per-year percentile bands, percentiles at retirement and at the end, and the share of paths that ran out of money
+    static summarizePaths(paths) {
+        const totalYears = paths.length ? paths[0].balances.length : 0;
+        return {
+            paths: paths.length,
+            bands: Array.from({ length: totalYears }, (_, year) => this.percentiles(paths.map(path => path.balances[year]))),
+            retirementBalance: this.percentiles(paths.map(path => path.retirementBalance)),
+            endingBalance: this.percentiles(paths.map(path => path.endingBalance)),
+            depletionProbability: paths.length ? (paths.filter(path => path.depleted).length / paths.length) * 100 : 0
+        };
+    }
+}
+
+class HistoricalBacktester {
+    // Yearly returns of a portfolio rebalanced to `stockAllocation`% stocks, the rest in bonds
+    static getPortfolioReturns(stockAllocation = 100, series = HISTORICAL_RETURNS) {
+        const stockWeight = stockAllocation / 100;
+        return series.map(entry => ({
+            year: entry.year,
+            rate: entry.stocks * stockWeight + entry.bonds * (1 - stockWeight)
+        }));
+    }
+
+    // Every run of `length` consecutive years in the series, labelled by its first year
+    static getWindows(length, stockAllocation = 100, series = HISTORICAL_RETURNS) {
+        const returns = this.getPortfolioReturns(stockAllocation, series);
+        const windows = [];
+        for (let start = 0; length > 0 && start + length <= returns.length; start++) {
+            windows.push({
+                startYear: returns[start].year,
+                returns: returns.slice(start, start + length).map(entry => entry.rate)
+            });
+        }
+        return windows;
+    }
+
+    /**
+     * Replays both scenarios (`{ with401k, no401k }`, each with `annualFlows` and
+     * `annualWithdrawal`) through every historical window that covers the working and
+     * withdrawal years. Windows are ranked by the with-401K balance at retirement; the 401K
+     * advantage is the same balance comparison `wealthDifference` makes for a fixed return.
+     * Returns null when no window is long enough.
+     */
+    static run(scenarios, retirementYears, options = {}) {
+        const { stockAllocation = 100, series = HISTORICAL_RETURNS } = options;
+        const length = scenarios.with401k.annualFlows.length + retirementYears;
+        const windows = this.getWindows(length, stockAllocation, series).map(replay => {
+            const with401k = FinancialCalculator.simulateReturnPath(scenarios.with401k.annualFlows, scenarios.with401k.annualWithdrawal, retirementYears, replay.returns);
+            const no401k = FinancialCalculator.simulateReturnPath(scenarios.no401k.annualFlows, scenarios.no401k.annualWithdrawal, retirementYears, replay.returns);
+            return {
+                startYear: replay.startYear,
+                with401k,
+                no401k,
+                advantage: with401k.retirementBalance - no401k.retirementBalance
+            };
+        });
+
+        if (!windows.length) {
+            return null;
+        }
+
+        const ranked = [...windows].sort((a, b) => a.with401k.retirementBalance - b.with401k.retirementBalance);
+        const advantages = windows.map(replay => replay.advantage);
+        return {
+            windows,
+            summary: MonteCarloSimulator.summarizePaths(windows.map(replay => replay.with401k)),
+            worst: ranked[0],
+            median: ranked[Math.floor((ranked.length - 1) / 2)],
+            best: ranked[ranked.length - 1],
+            winRate: (advantages.filter(advantage => advantage > 0).length / windows.length) * 100,
+            advantage: { ...MonteCarloSimulator.percentiles(advantages), min: Math.min(...advantages) }
+        };
+    }
+}
+
+/**
+ * Searches first-year allocations of pay between traditional 401K (as a % of salary), Roth 401K
+ * and Roth IRA (in dollars) that still meet the take-home target; whatever is left over goes to
+ * the brokerage account. A coarse grid is refined around its best points, and each candidate is
+ * scored over the whole projection with the selected withdrawal mode.
+ */
+class StrategyOptimizer {
+    /**
+     * Returns { objective, current, strategies, evaluated }, where `strategies` are the top
+     * `count` feasible allocations (each at least `minDifference` dollars away from a better
+     * one) and `current` scores the inputs as entered; null without a take-home target.
+     * `onProgress(done, total)` is called after each candidate.
+     */
+    static optimize(inputs, objective = 'terminalWealth', options = {}) {
+        const { count = 3, percentStep = 2, rothStep = 2500, iraSteps = 2, minDifference = 5000, onProgress = null } = options;
+        if (!inputs.targetAnnualTakeHome || !OPTIMIZER_OBJECTIVES[objective]) {
+            return null;
+        }
+
+        const limits = TaxCalculator.getLimits(inputs.taxProfile);
+        const maxPercent = Math.min(100, Math.ceil((limits.employee401k / inputs.grossSalary) * 1000) / 10);
+        const candidates = new Map();
+        const evaluate = (contributionPercent, roth401k, rothIRA) => {
+            const percent = Math.round(Math.min(Math.max(contributionPercent, 0), maxPercent) * 10) / 10;
+            const trad401k = Math.min(inputs.grossSalary * (percent / 100), limits.employee401k);
+            const roth = Math.round(Math.min(Math.max(roth401k, 0), limits.employee401k - trad401k));
+            const ira = Math.round(Math.min(Math.max(rothIRA, 0), limits.ira));
+            const key = `${percent}:${roth}:${ira}`;
+            if (!candidates.has(key)) {
+                candidates.set(key, this.evaluate(inputs, objective, percent, roth, ira));
+            }
+            return candidates.get(key);
+        };
+
+        // Coarse grid over all three allocations
+        const steps = (max, step) => [...Array.from({ length: Math.floor(max / step) + 1 }, (_, i) => i * step), max];
+        const grid = steps(maxPercent, percentStep).flatMap(percent => {
+            const room = limits.employee401k - Math.min(inputs.grossSalary * (percent / 100), limits.employee401k);
+            return steps(room, rothStep).flatMap(roth => steps(limits.ira, limits.ira / iraSteps).map(ira => [percent, roth, ira]));
+        });
+        const offsets = [-0.5, 0, 0.5];
+        const total = grid.length + count * offsets.length ** 3;
+        let done = 0;
+        grid.forEach(point => {
+            evaluate(...point);
+            onProgress?.(++done, total);
+        });
+
+        // Then half-steps around the best distinct points
+        this.rank([...candidates.values()], minDifference).slice(0, count).forEach(best => {
+            offsets.forEach(percentOffset => offsets.forEach(rothOffset => offsets.forEach(iraOffset => {
+                evaluate(
+                    best.contributionPercent + percentOffset * percentStep,
+                    best.roth401kAmount + rothOffset * rothStep,
+                    best.rothIRAAmount + iraOffset * (limits.ira / iraSteps)
+                );
+                onProgress?.(++done, total);
+            })));
+        });
+        onProgress?.(total, total);
+
+        return {
+            objective,
+            current: this.evaluate(inputs, objective, inputs.contributionPercent, inputs.roth401kMax, FinancialCalculator.normalizeRothIRA(inputs.rothIRA).amount, true),
+            strategies: this.rank([...candidates.values()], minDifference).slice(0, count),
+            evaluated: candidates.size
+        };
+    }
+
+    // Scores one allocation; infeasible ones (below the take-home target) are null unless `always`
+    static evaluate(inputs, objective, contributionPercent, roth401kAmount, rothIRAAmount, always = false) {
+        const rothIRA = { ...FinancialCalculator.normalizeRothIRA(inputs.rothIRA), amount: rothIRAAmount };
+        const scenario = FinancialCalculator.calculate401KScenario(
+            inputs.grossSalary, contributionPercent, inputs.employerPlan, inputs.investmentReturn, inputs.years,
+            { ...ScenarioRunner.getScenarioOptions(inputs), roth401kMax: roth401kAmount, rothIRA }
+        );
+        // Allow for rounding of the target to whole paychecks
+        const feasible = scenario.discretionaryIncome >= inputs.targetAnnualTakeHome - 1;
+        if (!feasible && !always) {
+            return null;
+        }
+
+        const withdrawals = ScenarioRunner.getWithdrawalTaxes(inputs, scenario);
+        const workingTaxes = scenario.ledger.reduce((sum, entry) => sum + entry.taxes, 0);
+        // A lump sum is taxed once. Distributed withdrawals are scored from the drawdown table's
+        // year-by-year rows (RMDs, Social Security, indexed brackets and the withdrawal order):
+        // the taxes paid along the way and what heirs keep of the balances left at the end.
+        let metrics;
+        if (inputs.withdrawalType === 'distributed') {
+            const drawdown = ScenarioRunner.runSelectedDrawdown(inputs, scenario);
+            metrics = {
+                terminalWealth: RetirementPlanner.calculateHeirValue(drawdown.endingBalances, inputs.heirTaxRate / 100),
+                lifetimeTaxes: workingTaxes + drawdown.rows.reduce((sum, row) => sum + row.taxes, 0),
+                retirementIncome: withdrawals.annual.net
+            };
+        } else {
+            metrics = {
+                terminalWealth: withdrawals.lumpSum.net,
+                lifetimeTaxes: workingTaxes + withdrawals.lumpSum.taxes,
+                retirementIncome: withdrawals.annual.net
+            };
+        }
+
+        return {
+            contributionPercent,
+            roth401kAmount,
+            rothIRAAmount,
+            feasible,
+            allocation: {
+                trad401k: scenario.trad401kContribution,
+                roth401k: scenario.roth401kContribution,
+                rothIRA: scenario.rothIRAContribution,
+                brokerage: scenario.additionalBrokerage
+            },
+            takeHome: scenario.takeHomePay,
+            metrics,
+            score: OPTIMIZER_OBJECTIVES[objective].maximize ? metrics[objective] : -metrics[objective]
+        };
+    }
+
+    // Best first, skipping allocations within `minDifference` dollars of a better one
+    static rank(candidates, minDifference) {
+        const distance = (a, b) => Object.keys(a.allocation).reduce((sum, bucket) => sum + Math.abs(a.allocation[bucket] - b.allocation[bucket]), 0);
+        return candidates
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .reduce((ranked, candidate) => (
+                ranked.some(better => distance(better, candidate) < minDifference) ? ranked : [...ranked, candidate]
+            ), []);
+    }
+}
+
+/**
+ * Works backwards from a retirement goal in today's dollars: the with-401K balance at retirement
+ * (`balance`) or the after-tax income of level withdrawals over the withdrawal period (`income`).
+ * Solves for the traditional 401K contribution % or for the retirement age, holding every other
+ * input as entered.
+ */
+class GoalSolver {
+    // The with-401K scenario for the inputs and the goal's measure of it, in today's dollars
+    static measure(inputs, goal) {
+        const scenario = FinancialCalculator.calculate401KScenario(
+            inputs.grossSalary, inputs.contributionPercent, inputs.employerPlan, inputs.investmentReturn, inputs.years,
+            ScenarioRunner.getScenarioOptions(inputs)
+        );
+        const amount = goal === 'income'
+            ? ScenarioRunner.getWithdrawalTaxes(inputs, scenario).annual.net
+            : scenario.totalFutureValue;
+        return { scenario, value: FinancialCalculator.toRealDollars(amount, inputs.inflationRate, inputs.years) };
+    }
+
+    /**
+     * Lowest contribution % (to a tenth) that reaches `target`. Returns { reached,
+     * contributionPercent, value, scenario }; when no % reaches it, `reached` is false and the
+     * rest describe contributing the limit (`balance`) or the % with the most income (`income`).
+     */
+    static solveContribution(inputs, goal, target) {
+        const maxPercent = Math.min(100, Math.ceil((TaxCalculator.getLimits(inputs.taxProfile).employee401k / inputs.grossSalary) * 1000) / 10);
+        const maxTenths = Math.round(maxPercent * 10);
+        const at = contributionPercent => ({ contributionPercent, ...this.measure({ ...inputs, contributionPercent }, goal) });
+
+        // Income can peak below the limit, since each traditional dollar displaces brokerage money
+        // that is taxed less in retirement, so every tenth is tried in turn
+        if (goal === 'income') {
+            let best = null;
+            for (let tenths = 0; tenths <= maxTenths; tenths++) {
+                const result = at(tenths / 10);
+                if (result.value >= target) {
+                    return { reached: true, ...result };
+                }
+                if (!best || result.value > best.value) {
+                    best = result;
+                }
+            }
+            return { reached: false, ...best };
+        }
+
+        const highest = at(maxPercent);
+        if (highest.value < target) {
+            return { reached: false, ...highest };
+        }
+
+        // Binary search in tenths of a percent; more contributions never shrink the balance
+        let low = 0;
+        let high = maxTenths;
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if (at(mid / 10).value >= target) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return { reached: true, ...at(high / 10) };
+    }
+
+    /**
+     * Earliest retirement age up to GOAL_MAX_RETIREMENT_AGE that reaches `target`. Returns
+     * { reached, retirementAge, value, scenario }, describing the latest age when it falls short.
+     */
+    static solveRetirementAge(inputs, goal, target) {
+        const at = retirementAge => ({
+            retirementAge,
+            ...this.measure({ ...inputs, retirementAge, years: retirementAge - inputs.currentAge }, goal)
+        });
+
+        const lastAge = Math.max(GOAL_MAX_RETIREMENT_AGE, inputs.currentAge + 1);
+        for (let age = inputs.currentAge + 1; age < lastAge; age++) {
+            const result = at(age);
+            if (result.value >= target) {
+                return { reached: true, ...result };
+            }
+        }
+        const latest = at(lastAge);
+        return { reached: latest.value >= target, ...latest };
+    }
+
+    // `solveFor` is 'contribution' or 'retirementAge'
+    static solve(inputs, goal, target, solveFor) {
+        return solveFor === 'retirementAge'
+            ? this.solveRetirementAge(inputs, goal, target)
+            : this.solveContribution(inputs, goal, target);
+    }
+}
+
+/**
+ * Exportable summary of one calculation: the inputs, both first-year waterfalls, future values
+ * per account, withdrawal results and the year-by-year ledger. Each section is a table of
+ * [item, ...values] rows; future amounts follow the page's nominal or today's-dollars basis.
+ */
+class ScenarioReport {
+    static build(state, inputs, results, inputLabels = {}) {
+        const { with401K, no401K, taxSavings, wealthDifference, roi401K, withdrawalYears } = results;
+        const future = amount => inputs.realDollars ? FinancialCalculator.toRealDollars(amount, inputs.inflationRate, inputs.years) : amount;
+        const realWithdrawals = withdrawalTaxes => inputs.realDollars
+            ? FinancialCalculator.toRealWithdrawals(withdrawalTaxes, inputs.inflationRate, inputs.years)
+            : withdrawalTaxes;
+        const withdrawalType = inputs.withdrawalType === 'distributed' ? 'annual' : 'lumpSum';
+        const withdrawals = realWithdrawals(results.withdrawalTaxes)[withdrawalType];
+        const brokerageWithdrawals = realWithdrawals(results.brokerageWithdrawalTaxes)[withdrawalType];
+        const scenarioColumns = ['Without 401K', 'With 401K'];
+
+        return {
+            generatedAt: new Date().toISOString(),
+            dollarBasis: inputs.realDollars ? "today's dollars" : 'nominal',
+            inputs: state,
+            sections: [
+                {
+                    title: 'Inputs',
+                    columns: ['Value'],
+                    rows: [
+                        ...Object.entries(state.fields).map(([field, value]) => [inputLabels[field] || field, value]),
+                        ['Employer match tiers', state.matchTiers.map(tier => `${tier.matchPercent}% of the next ${tier.upToPercent}% of pay`).join('; ')]
+                    ]
+                },
+                {
+                    title: 'Annual Financial Flow (first year)',
+                    columns: scenarioColumns,
+                    rows: [
+                        ['Gross Salary', no401K.grossSalary, with401K.grossSalary],
+                        ['Traditional 401K Contribution', 0, with401K.trad401kContribution],
+                        ['HSA Payroll Contribution', no401K.employeeHsaContribution, with401K.employeeHsaContribution],
+                        ['Other Adjustments', no401K.taxes.income.adjustments, with401K.taxes.income.adjustments],
+                        ['Adjusted Gross Income', no401K.agi, with401K.agi],
+                        ['Deduction', no401K.deduction, with401K.deduction],
+                        ['Taxable Income', no401K.taxableIncome, with401K.taxableIncome],
+                        ['Income Taxes', no401K.taxes.incomeTaxTotal, with401K.taxes.incomeTaxTotal],
+                        ['Payroll Taxes', no401K.taxes.payroll.total, with401K.taxes.payroll.total],
+                        ['Total Taxes', no401K.taxes.total, with401K.taxes.total],
+                        ['After-Tax Income', no401K.afterTaxIncome, with401K.afterTaxIncome],
+                        ['Living Expenses', no401K.takeHomePay, with401K.takeHomePay],
+                        ['Roth 401K Contribution', 0, with401K.roth401kContribution],
+                        ['After-Tax 401K Contribution', 0, with401K.afterTax401kContribution],
+                        ['Roth IRA Contribution', no401K.rothIRAContribution, with401K.rothIRAContribution],
+                        ['Brokerage Investment', no401K.brokerageInvestment, with401K.additionalBrokerage],
+                        ['Employer Contributions', 0, with401K.employerContribution]
+                    ]
+                },
+                {
+                    title: `Future Value (after ${inputs.years} years)`,
+                    columns: scenarioColumns,
+                    rows: [
+                        ['Traditional 401K', 0, future(with401K.futureValueTrad401k)],
+                        ['Roth 401K', 0, future(with401K.futureValueRoth401k)],
+                        ['After-Tax 401K', 0, future(with401K.futureValueAfterTax401k)],
+                        ['Employer Contributions', 0, future(with401K.futureValueEmployerMatch)],
+                        ['Roth IRA', future(no401K.futureValueRothIRA), future(with401K.futureValueRothIRA)],
+                        ['HSA', future(no401K.futureValueHsa), future(with401K.futureValueHsa)],
+                        ['Brokerage', future(no401K.futureValueBrokerage - no401K.futureValueRothIRA), future(with401K.futureValueAdditionalBrokerage)],
+                        ['Brokerage Cost Basis', future(no401K.brokerageBasis), future(with401K.brokerageBasis)],
+                        ['Total', future(no401K.totalFutureValue), future(with401K.totalFutureValue)]
+                    ]
+                },
+                {
+                    title: 'Net Benefit of the 401K',
+                    columns: ['Value'],
+                    rows: [
+                        ['First-Year Tax Savings', taxSavings],
+                        ['Wealth Difference', future(wealthDifference)],
+                        ['Return on Contributions (%)', roi401K]
+                    ]
+                },
+                {
+                    title: withdrawalType === 'annual' ? `Withdrawals (annual, over ${withdrawalYears} years)` : 'Withdrawals (lump sum)',
+                    columns: scenarioColumns,
+                    rows: [
+                        ['Withdrawal', brokerageWithdrawals.withdrawal ?? brokerageWithdrawals.total, withdrawals.withdrawal ?? withdrawals.total],
+                        ['Income Taxes', brokerageWithdrawals.incomeTaxes, withdrawals.incomeTaxes],
+                        ['Capital Gains Taxes', brokerageWithdrawals.capitalGainsTaxes, withdrawals.capitalGainsTaxes],
+                        ['Early Withdrawal Penalty', brokerageWithdrawals.penalties, withdrawals.penalties],
+                        ['Total Taxes', brokerageWithdrawals.taxes, withdrawals.taxes],
+                        ['After Taxes', brokerageWithdrawals.net, withdrawals.net],
+                        ['Effective Tax Rate (%)', brokerageWithdrawals.taxRate, withdrawals.taxRate]
+                    ]
+                }
+            ],
+            ledger: results.ledgerRows
+        };
+    }
+
+    static toJson(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    // One block per section, then the ledger; amounts are rounded to cents
+    static toCsv(report) {
+        const cell = value => {
+            const text = typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value ?? '');
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const line = values => values.map(cell).join(',');
+
+        const blocks = report.sections.map(section => [
+            line([section.title]),
+            line(['Item', ...section.columns]),
+            ...section.rows.map(line)
+        ].join('\n'));
+
+        if (report.ledger.length) {
+            const columns = Object.keys(report.ledger[0]);
+            blocks.push([
+                line(['Year-by-Year Projection']),
+                line(columns),
+                ...report.ledger.map(row => line(columns.map(column => row[column])))
+            ].join('\n'));
+        }
+        return `${line([`Generated ${report.generatedAt} (${report.dollarBasis})`])}\n\n${blocks.join('\n\n')}\n`;
+    }
+
+    // Plain-text tables of the sections for a terminal; numbers are right-aligned and rounded to cents
+    static toTable(report) {
+        const cell = value => typeof value === 'number'
+            ? value.toLocaleString('en-US', { maximumFractionDigits: 2 })
+            : String(value ?? '');
+
+        const blocks = report.sections.map(section => {
+            const rows = [['', ...section.columns], ...section.rows].map(row => row.map(cell));
+            const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+            const lines = rows.map(row => row
+                .map((text, column) => (column === 0 ? text.padEnd(widths[column]) : text.padStart(widths[column])))
+                .join('  ')
+                .trimEnd());
+            return [section.title, '-'.repeat(section.title.length), ...lines].join('\n');
+        });
+        return `${blocks.join('\n\n')}\n`;
+    }
+}
+
+// Runs a whole scenario from its inputs; shared by the page and the command line
+class ScenarioRunner {
+    // Converts a scenario state ({ version, fields, matchTiers }) into calculator inputs; blank or
+    // missing fields fall back the same way empty form fields do
+    static fromState(state) {
+        const fields = state.fields || {};
+        const checked = field => fields[field] === true || fields[field] === '1';
+        const values = {
+            grossSalary: parseFloat(fields.grossSalary) || 0,
+            contributionPercent: parseFloat(fields.contributionPercent) || 0,
+            investmentReturn: parseFloat(fields.investmentReturn) || 0,
+            currentAge: parseInt(fields.currentAge) || 0,
+            retirementAge: parseInt(fields.retirementAge) || 0,
+            salaryFrequency: fields.salaryFrequency,
+            taxYear: parseInt(fields.taxYear) || DEFAULT_TAX_YEAR,
+            filingStatus: fields.filingStatus,
+            itemizedDeductions: parseFloat(fields.itemizedDeductions) || 0,
+            adjustments: parseFloat(fields.adjustments) || 0,
+            state: fields.state,
+            locality: fields.locality,
+            retirementIncome: parseFloat(fields.retirementIncome) || 0,
+            retirementYears: parseInt(fields.retirementYears) || 20,
+            retirementSpending: parseFloat(fields.retirementSpending) || 0,
+            socialSecurityBenefit: parseFloat(fields.socialSecurityBenefit) || 0,
+            socialSecurityAge: parseInt(fields.socialSecurityAge) || 67,
+            bracketTarget: parseFloat(fields.bracketTarget) || 0.22,
+            drawdownStrategy: fields.drawdownStrategy,
+            useSepp: checked('useSepp'),
+            conversionBracket: parseFloat(fields.conversionBracket) || 0.22,
+            conversionWindow: fields.conversionWindow,
+            heirTaxRate: parseFloat(fields.heirTaxRate) || 0,
+            roth401kMax: parseFloat(fields.roth401kMax) || 0,
+            afterTax401k: parseFloat(fields.afterTax401k) || 0,
+            afterTaxConversion: fields.afterTaxConversion,
+            retirementMedicalExpenses: parseFloat(fields.retirementMedicalExpenses) || 0,
+            rothIRA: {
+                amount: parseFloat(fields.rothIRAContribution) || 0,
+                method: fields.rothIRAMethod,
+                traditionalIraBalance: parseFloat(fields.traditionalIraBalance) || 0
+            },
+            salaryGrowth: parseFloat(fields.salaryGrowth) || 0,
+            dividendYield: parseFloat(fields.dividendYield) || 0,
+            escalationRate: parseFloat(fields.escalationRate) || 0,
+            escalationCap: parseFloat(fields.escalationCap) || 0,
+            inflationRate: parseFloat(fields.inflationRate) || 0,
+            realDollars: checked('realDollars'),
+            returnModel: fields.returnModel,
+            volatility: parseFloat(fields.volatility) || 0,
+            simulations: Math.min(Math.max(parseInt(fields.simulations) || 1000, 100), 10000),
+            simulationSeed: parseInt(fields.simulationSeed) || 0,
+            stockAllocation: Math.min(Math.max(parseFloat(fields.stockAllocation) || 0, 0), 100),
+            // Blank means staying with this employer until retirement
+            yearsUntilLeave: parseInt(fields.yearsUntilLeave) || null,
+            targetPerPay: parseFloat(fields.targetPerPay) || null,
+            withdrawalType: fields.withdrawalType || 'lumpSum',
+            withdrawalYears: parseInt(fields.withdrawalYears) || null
+        };
+        values.targetAnnualTakeHome = values.targetPerPay ? values.targetPerPay * SALARY_FREQUENCY[values.salaryFrequency] : null;
+        values.hsa = {
+            coverage: fields.hsaCoverage,
+            contribution: parseFloat(fields.hsaContribution) || 0,
+            employerContribution: parseFloat(fields.employerHsaContribution) || 0
+        };
+        const annualMatchCap = parseFloat(fields.annualMatchCap);
+        values.employerPlan = {
+            tiers: state.matchTiers || DEFAULT_EMPLOYER_PLAN.tiers,
+            nonElectivePercent: parseFloat(fields.nonElectivePercent) || 0,
+            annualMatchCap: annualMatchCap >= 0 ? annualMatchCap : null,
+            trueUp: fields.matchTiming === 'trueUp',
+            payPeriods: SALARY_FREQUENCY[values.salaryFrequency],
+            vesting: {
+                type: fields.vestingType,
+                years: parseInt(fields.vestingYears) || 0,
+                yearsOfService: parseInt(fields.yearsOfService) || 0
+            }
+        };
+        // The investment timeline runs from today until retirement
+        values.years = Math.max(0, values.retirementAge - values.currentAge);
+        values.taxProfile = {
+            taxYear: values.taxYear,
+            age: values.currentAge,
+            filingStatus: values.filingStatus,
+            state: values.state,
+            locality: values.locality,
+            itemizedDeductions: values.itemizedDeductions,
+            adjustments: values.adjustments,
+            // Projected brackets, deductions and limits grow with the same inflation rate
+            indexingRate: values.inflationRate / 100
+        };
+        values.projection = {
+            salaryGrowth: values.salaryGrowth,
+            escalationRate: values.escalationRate,
+            escalationCap: values.escalationCap,
+            yearsUntilLeave: values.yearsUntilLeave,
+            dividendYield: values.dividendYield
+        };
+        return values;
+    }
+
+    /**
+     * Everything the page shows for one set of inputs: both scenarios, the benefits, withdrawal
+     * taxes, the ledger rows, the retirement drawdown and any simulation. Amounts are nominal
+     * except `ledgerRows`, which follow `inputs.realDollars`. `options.onProgress(done, total)`
+     * reports simulation progress.
+     */
+    static run(inputs, options = {}) {
+        const targetAnnualTakeHome = inputs.targetAnnualTakeHome;
+        const scenarioOptions = this.getScenarioOptions(inputs);
+
+        // Calculate scenarios
+        const with401K = FinancialCalculator.calculate401KScenario(
+            inputs.grossSalary,
+            inputs.contributionPercent,
+            inputs.employerPlan,
+            inputs.investmentReturn,
+            inputs.years,
+            scenarioOptions
+        );
+
+        const no401K = FinancialCalculator.calculateNo401KScenario(
+            inputs.grossSalary,
+            inputs.contributionPercent,
+            inputs.investmentReturn,
+            inputs.years,
+            scenarioOptions
+        );
+
+        // Calculate benefits
+        const taxSavings = no401K.taxes.total - with401K.taxes.total;
+        const wealthDifference = with401K.totalFutureValue - no401K.totalFutureValue;
+        const roi401K = (wealthDifference / with401K.lifetimeContributions.trad401k) * 100;
+
+        const withdrawalYears = inputs.withdrawalYears || inputs.retirementYears;
+        
+        // Withdrawals are taxed under the (projected) brackets of the first retirement year
+        const retirementTaxProfile = FinancialCalculator.projectTaxProfile(inputs.taxProfile, inputs.years);
+
+        // Calculate withdrawal taxes
+        const withdrawalTaxes = FinancialCalculator.calculateCombinedWithdrawalTaxes(
+            with401K.futureValueTrad401k,
+            with401K.futureValueRoth401k,
+            with401K.futureValueEmployerMatch,
+            with401K.futureValueRothIRA,
+            with401K.futureValueAdditionalBrokerage,
+            inputs.retirementIncome, 
+            inputs.investmentReturn,
+            withdrawalYears,
+            retirementTaxProfile,
+            with401K.brokerageBasis,
+            this.getEarlyAccess(inputs, with401K),
+            this.getAfterTax401k(inputs, with401K),
+            this.getHsa(inputs, with401K)
+        );
+
+        // Calculate brokerage withdrawal taxes; Roth IRA dollars come out tax-free, like basis
+        const brokerageWithdrawalTaxes = FinancialCalculator.calculateBrokerageWithdrawalTaxes(
+            no401K.futureValueBrokerage,
+            inputs.retirementIncome,
+            inputs.investmentReturn,
+            inputs.retirementYears,
+            retirementTaxProfile,
+            no401K.brokerageBasis + no401K.futureValueRothIRA,
+            { age: inputs.retirementAge, rothIRABalance: no401K.futureValueRothIRA, rothIRABasis: no401K.lifetimeContributions.rothIRA },
+            this.getHsa(inputs, no401K)
+        );
+
+        return {
+            targetAnnualTakeHome, with401K, no401K, taxSavings, wealthDifference, roi401K,
+            withdrawalYears, retirementTaxProfile, withdrawalTaxes, brokerageWithdrawalTaxes,
+            ledgerRows: this.toLedgerRows(with401K.ledger, no401K.ledger, inputs),
+            drawdown: this.runDrawdown(inputs, with401K, retirementTaxProfile),
+            simulation: this.runSimulation(inputs, with401K, no401K, withdrawalYears, options.onProgress)
+        };
+    }
+
+    // The scenario options (everything after `years`) for calculate401KScenario and calculateNo401KScenario
+    static getScenarioOptions(inputs) {
+        return {
+            targetTakeHome: inputs.targetAnnualTakeHome,
+            roth401kMax: inputs.roth401kMax,
+            rothIRA: inputs.rothIRA,
+            taxProfile: inputs.taxProfile,
+            projection: inputs.projection,
+            afterTax401k: inputs.afterTax401k,
+            hsa: inputs.hsa
+        };
+    }
+
+    // Withdrawals from a with-401K scenario over the withdrawal period, under the brackets projected for retirement
+    static getWithdrawalTaxes(inputs, scenario) {
+        return FinancialCalculator.calculateCombinedWithdrawalTaxes(
+            scenario.futureValueTrad401k, scenario.futureValueRoth401k, scenario.futureValueEmployerMatch,
+            scenario.futureValueRothIRA, scenario.futureValueAdditionalBrokerage, inputs.retirementIncome,
+            inputs.investmentReturn, inputs.withdrawalYears || inputs.retirementYears,
+            FinancialCalculator.projectTaxProfile(inputs.taxProfile, inputs.years), scenario.brokerageBasis,
+            this.getEarlyAccess(inputs, scenario), this.getAfterTax401k(inputs, scenario), this.getHsa(inputs, scenario)
+        );
+    }
+
+    // Withdrawals start when you retire, which is also when you leave your last employer
+    static getEarlyAccess(inputs, scenario) {
+        return {
+            age: inputs.retirementAge,
+            separationAge: inputs.retirementAge,
+            useSepp: inputs.useSepp,
+            roth401kBasis: scenario.lifetimeContributions.roth401k,
+            rothIRABasis: scenario.lifetimeContributions.rothIRA
+        };
+    }
+
+    static getAfterTax401k(inputs, scenario) {
+        return {
+            balance: scenario.futureValueAfterTax401k,
+            basis: scenario.lifetimeContributions.afterTax,
+            converted: inputs.afterTaxConversion === 'inPlan'
+        };
+    }
+
+    // Medical expenses are entered in today's dollars and grow with inflation until retirement
+    static getHsa(inputs, scenario) {
+        return {
+            balance: scenario.futureValueHsa,
+            medicalExpenses: inputs.retirementMedicalExpenses * Math.pow(1 + inputs.inflationRate / 100, inputs.years)
+        };
+    }
+
+    // Re-expresses a nominal amount `yearsAhead` years out in today's dollars when the toggle is on
+    static toDisplayDollars(amount, yearsAhead, inputs) {
+        return inputs.realDollars ? FinancialCalculator.toRealDollars(amount, inputs.inflationRate, yearsAhead) : amount;
+    }
+
+    // A year's flows happen during the year; its balances are as of the end of it
+    static toLedgerRows(ledger, no401KLedger, inputs) {
+        return ledger.map((entry, index) => {
+            const flow = amount => this.toDisplayDollars(amount, index, inputs);
+            const balance = amount => this.toDisplayDollars(amount, index + 1, inputs);
+            return {
+                year: entry.year,
+                age: entry.age,
+                salary: flow(entry.salary),
+                contributionPercent: entry.contributionPercent,
+                trad401k: flow(entry.contributions.trad401k),
+                roth401k: flow(entry.contributions.roth401k),
+                afterTax: flow(entry.contributions.afterTax),
+                employer: flow(entry.contributions.employer),
+                vestedPercent: entry.vestedPercent,
+                rothIRA: flow(entry.contributions.rothIRA),
+                hsa: flow(entry.contributions.hsa),
+                brokerage: flow(entry.contributions.brokerage),
+                taxes: flow(entry.taxes),
+                balance: balance(entry.totalBalance),
+                no401kBalance: balance(no401KLedger[index]?.totalBalance ?? 0)
+            };
+        });
+    }
+
+    // Compares withdrawal orderings over the retirement period, starting from the with-401K balances
+    static runDrawdown(inputs, with401K, retirementTaxProfile) {
+        const { startBalances, options, birthYear } = this.getDrawdownPlan(inputs, with401K, retirementTaxProfile);
+        const strategies = RetirementPlanner.compareStrategies(startBalances, options);
+        const lasting = strategies.filter(result => result.depletedAge === null);
+        const best = (lasting.length ? lasting : strategies).reduce((a, b) => (b.endingBalance > a.endingBalance ? b : a));
+        const selected = strategies.find(result => result.strategy === inputs.drawdownStrategy) ?? best;
+
+        // Roth conversions through the gap years, using the selected withdrawal ordering
+        const conversionEndAge = inputs.conversionWindow === 'socialSecurity'
+            ? inputs.socialSecurityAge
+            : RetirementPlanner.getRmdStartAge(birthYear);
+        const conversionPlan = RetirementPlanner.planRothConversions(
+            startBalances,
+            selected.strategy,
+            options,
+            { bracketRate: inputs.conversionBracket, endAge: conversionEndAge },
+            inputs.heirTaxRate / 100
+        );
+
+        return { startBalances, strategies, best, selected, conversionEndAge, conversionPlan };
+    }
+
+    // Only the drawdown the page shows for the chosen withdrawal strategy, for scoring allocations
+    static runSelectedDrawdown(inputs, with401K) {
+        const retirementTaxProfile = FinancialCalculator.projectTaxProfile(inputs.taxProfile, inputs.years);
+        const { startBalances, options } = this.getDrawdownPlan(inputs, with401K, retirementTaxProfile);
+        return RetirementPlanner.simulate(startBalances, inputs.drawdownStrategy, options);
+    }
+
+    // The balances at retirement and the RetirementPlanner options for the drawdown
+    static getDrawdownPlan(inputs, with401K, retirementTaxProfile) {
+        const inflationToRetirement = Math.pow(1 + inputs.inflationRate / 100, inputs.years);
+        const birthYear = inputs.taxYear - inputs.currentAge;
+        // Converted after-tax money is Roth money; otherwise its earnings draw down like pre-tax
+        // dollars and its contributions like Roth basis
+        const afterTax = this.getAfterTax401k(inputs, with401K);
+        const afterTaxRoth = afterTax.converted ? afterTax.balance : afterTax.basis;
+        const startBalances = {
+            traditional: with401K.futureValueTrad401k + with401K.futureValueEmployerMatch + afterTax.balance - afterTaxRoth,
+            roth: with401K.futureValueRoth401k + with401K.futureValueRothIRA + afterTaxRoth,
+            taxable: with401K.futureValueAdditionalBrokerage,
+            taxableBasis: with401K.brokerageBasis,
+            rothBasis: with401K.lifetimeContributions.roth401k + with401K.lifetimeContributions.rothIRA + afterTax.basis,
+            hsa: with401K.futureValueHsa
+        };
+        const options = {
+            years: inputs.retirementYears,
+            startAge: inputs.retirementAge,
+            birthYear,
+            // Working-year adjustments and itemized deductions don't carry into retirement
+            taxProfile: { ...retirementTaxProfile, itemizedDeductions: 0, adjustments: 0 },
+            investmentReturn: inputs.investmentReturn,
+            inflationRate: inputs.inflationRate,
+            spending: inputs.retirementSpending * inflationToRetirement,
+            socialSecurityBenefit: inputs.socialSecurityBenefit * inflationToRetirement,
+            socialSecurityAge: inputs.socialSecurityAge,
+            otherIncome: inputs.retirementIncome,
+            bracketRate: inputs.bracketTarget,
+            medicalExpenses: inputs.retirementMedicalExpenses * inflationToRetirement
+        };
+        return { startBalances, options, birthYear };
+    }
+
+    // Replays each scenario's contributions and planned level withdrawal under simulated or
+    // historical returns; null with the fixed-return model, and `results` is null when the
+    // history is too short for the timeline
+    static runSimulation(inputs, with401K, no401K, withdrawalYears, onProgress = null) {
+        if (inputs.returnModel === 'fixed') {
+            return null;
+        }
+
+        const annualReturn = inputs.investmentReturn / 100;
+        const scenarios = {
+            with401k: {
+                annualFlows: FinancialCalculator.getLedgerFlows(with401K.ledger),
+                annualWithdrawal: FinancialCalculator.calculateAnnualWithdrawal(with401K.totalFutureValue, annualReturn, withdrawalYears)
+            },
+            no401k: {
+                annualFlows: FinancialCalculator.getLedgerFlows(no401K.ledger),
+                annualWithdrawal: FinancialCalculator.calculateAnnualWithdrawal(no401K.totalFutureValue, annualReturn, withdrawalYears)
+            }
+        };
+
+        const historical = inputs.returnModel === 'historical';
+        const backtest = historical
+            ? HistoricalBacktester.run(scenarios, withdrawalYears, { stockAllocation: inputs.stockAllocation })
+            : null;
+        const results = historical
+            ? backtest?.summary ?? null
+            : MonteCarloSimulator.run(scenarios.with401k.annualFlows, scenarios.with401k.annualWithdrawal, withdrawalYears, {
+                meanReturn: inputs.investmentReturn,
+                volatility: inputs.volatility,
+                simulations: inputs.simulations,
+                seed: inputs.simulationSeed,
+                onProgress
+            });
+
+        return { historical, annualWithdrawal: scenarios.with401k.annualWithdrawal, results, backtest };
+    }
+}
+
+// The engine's entry point: everything the page computes for one set of inputs
+function runScenario(inputs, options = {}) {
+    return ScenarioRunner.run(inputs, options);
+}
+
+// Calculator inputs for a saved, shared or exported scenario state
+function toScenarioInputs(state) {
+    return ScenarioRunner.fromState(state);
+}
+
+// Runs a job posted to the worker (or run in its place): { type: 'scenario', inputs },
+// { type: 'optimize', inputs, objective }, { type: 'solveGoal', inputs, goal, target, solveFor }
+// or { type: 'solveTakeHome', inputs, target }
+function runJob(job, onProgress = null) {
+    if (job.type === 'scenario') {
+        return runScenario(job.inputs, { onProgress });
+    }
+    if (job.type === 'optimize') {
+        return StrategyOptimizer.optimize(job.inputs, job.objective, { onProgress });
+    }
+    if (job.type === 'solveGoal') {
+        return GoalSolver.solve(job.inputs, job.goal, job.target, job.solveFor);
+    }
+    if (job.type === 'solveTakeHome') {
+        return FinancialCalculator.solveTakeHomeTarget(job.inputs, job.target);
+    }
+    throw new Error(`Unknown job type: ${job.type}`);
+}
+
+export {
+    runScenario,
+    toScenarioInputs,
+    runJob,
+    TAX_YEARS,
+    DEFAULT_TAX_YEAR,
+    STATE_TAX_REGISTRY,
+    SALARY_FREQUENCY,
+    DEFAULT_EMPLOYER_PLAN,
+    SCENARIO_STATE_VERSION,
+    SCENARIO_FIELDS,
+    OPTIMIZER_OBJECTIVES,
+    GOAL_MAX_RETIREMENT_AGE,
+    HISTORICAL_RETURNS,
+    TaxYearData,
+    TaxCalculator,
+    EmployerPlan,
+    EarlyWithdrawalRules,
+    FinancialCalculator,
+    RetirementPlanner,
+    MonteCarloSimulator,
+    HistoricalBacktester,
+    StrategyOptimizer,
+    GoalSolver,
+    ScenarioReport,
+    ScenarioRunner
+};
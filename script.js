@@ -1,362 +1,216 @@
-// Tax brackets for 2024 (Federal and California)
-const TAX_BRACKETS = {
-    federal: {
-        single: [
-            { min: 0, max: 11000, rate: 0.10 },
-            { min: 11000, max: 44725, rate: 0.12 },
-            { min: 44725, max: 95375, rate: 0.22 },
-            { min: 95375, max: 182050, rate: 0.24 },
-            { min: 182050, max: 231250, rate: 0.32 },
-            { min: 231250, max: 578125, rate: 0.35 },
-            { min: 578125, max: Infinity, rate: 0.37 }
-        ]
-    },
-    california: {
-        single: [
-            { min: 0, max: 10099, rate: 0.01 },
-            { min: 10099, max: 23942, rate: 0.02 },
-            { min: 23942, max: 37788, rate: 0.04 },
-            { min: 37788, max: 52455, rate: 0.06 },
-            { min: 52455, max: 66295, rate: 0.08 },
-            { min: 66295, max: 338639, rate: 0.093 },
-            { min: 338639, max: 406364, rate: 0.103 },
-            { min: 406364, max: 677275, rate: 0.113 },
-            { min: 677275, max: Infinity, rate: 0.123 }
-        ]
-    }
-};
-
-// FICA tax rates
-const FICA_RATE = 0.0765; // 6.2% Social Security + 1.45% Medicare
-const SOCIAL_SECURITY_WAGE_BASE = 160200; // 2024 limit
-
-// 401K limits for 2024
-const EMPLOYEE_401K_LIMIT = 23000; // Maximum employee contribution
-const TOTAL_401K_LIMIT = 69000; // Maximum total contribution (employee + employer)
-
-// Salary frequency multipliers
-const SALARY_FREQUENCY = {
-    weekly: 52,
-    biweekly: 26,
-    semimonthly: 24,
-    monthly: 12,
-    annually: 1
-};
-
-class TaxCalculator {
-    static calculateTax(income, brackets) {
-        let tax = 0;
-        for (const bracket of brackets) {
-            if (income > bracket.min) {
-                const taxableInBracket = Math.min(income, bracket.max) - bracket.min;
-                tax += taxableInBracket * bracket.rate;
-            }
-        }
-        return tax;
-    }
-
-    static calculateFederalTax(income) {
-        return this.calculateTax(income, TAX_BRACKETS.federal.single);
-    }
-
-    static calculateStateTax(income) {
-        return this.calculateTax(income, TAX_BRACKETS.california.single);
-    }
-
-    static calculateFICATax(income) {
-        const socialSecurityTax = Math.min(income, SOCIAL_SECURITY_WAGE_BASE) * 0.062;
-        const medicareTax = income * 0.0145;
-        return socialSecurityTax + medicareTax;
-    }
-
-    static calculateTotalTaxes(income) {
-        const federal = this.calculateFederalTax(income);
-        const state = this.calculateStateTax(income);
-        const fica = this.calculateFICATax(income);
-        return { federal, state, fica, total: federal + state + fica };
+import {
+    runJob,
+    DEFAULT_TAX_YEAR,
+    STATE_TAX_REGISTRY,
+    SALARY_FREQUENCY,
+    DEFAULT_EMPLOYER_PLAN,
+    SCENARIO_STATE_VERSION,
+    SCENARIO_FIELDS,
+    OPTIMIZER_OBJECTIVES,
+    HISTORICAL_RETURNS,
+    TaxYearData,
+    TaxCalculator,
+    FinancialCalculator,
+    StrategyOptimizer,
+    ScenarioReport,
+    ScenarioRunner
+} from './engine.js';
+
+// Saved scenarios and share links are kept in localStorage under this key
+const SCENARIO_STORAGE_KEY = 'retirementCalculator.scenarios';
+
+// Scenarios that can be pinned side by side; the first pinned one is the baseline for differences
+const MAX_PINNED_SCENARIOS = 4;
+
+// Typing recalculates once the inputs have been still this long (ms)
+const RECALCULATE_DELAY = 300;
+
+/**
+ * Scenario persistence. A scenario state is { version, fields, matchTiers }, where `fields` maps
+ * each SCENARIO_FIELDS id to its value. Named scenarios and the last-used state live in
+ * localStorage; share links carry a state in the URL hash as query parameters.
+ */
+class ScenarioStore {
+    static toHash(state) {
+        const params = new URLSearchParams({ v: state.version });
+        Object.entries(state.fields).forEach(([field, value]) => {
+            params.set(field, typeof value === 'boolean' ? Number(value) : value);
+        });
+        params.set('matchTiers', state.matchTiers.map(tier => `${tier.matchPercent}:${tier.upToPercent}`).join(','));
+        return `#${params}`;
     }
-}
-
-class FinancialCalculator {
-    static calculate401KScenario(grossSalary, contributionPercent, employerMatch, investmentReturn, years, targetTakeHome = null, accountType = 'traditional' /* Unused */, roth401kMax = 0, rothIRA = 0) {
-        // contributionPercent is now for Traditional 401K only
-        const trad401kContribution = Math.min(grossSalary * (contributionPercent / 100), EMPLOYEE_401K_LIMIT);
-        const roth401kContribution = Math.min(roth401kMax, EMPLOYEE_401K_LIMIT - trad401kContribution);
-        const total401kContribution = trad401kContribution + roth401kContribution;
-        const employerContribution = Math.min(grossSalary * (employerMatch / 100), EMPLOYEE_401K_LIMIT * 0.5);
-
-        // Roth IRA is a separate, post-tax contribution
-        const rothIRAContribution = Math.min(rothIRA, 7000);
-
-        // Only traditional 401k contributions reduce taxable income
-        const taxableIncome = grossSalary - trad401kContribution;
-        const taxes = TaxCalculator.calculateTotalTaxes(taxableIncome);
-
-        // This is the total cash available after all taxes and planned (non-brokerage) investments
-        const discretionaryIncome = grossSalary - trad401kContribution - taxes.total - roth401kContribution - rothIRAContribution;
-
-        // Determine actual living expenses and additional brokerage based on the target
-        let actualLivingExpenses;
-        let additionalBrokerage;
 
-        if (targetTakeHome && discretionaryIncome >= targetTakeHome) {
-            actualLivingExpenses = targetTakeHome;
-            additionalBrokerage = discretionaryIncome - targetTakeHome;
-        } else {
-            actualLivingExpenses = discretionaryIncome;
-            additionalBrokerage = 0;
+    // Returns null unless the hash holds a state of the current version
+    static fromHash(hash = '') {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        if (Number(params.get('v')) !== SCENARIO_STATE_VERSION) {
+            return null;
         }
 
-        // --- For UI Display ---
-        // Re-calculate the waterfall values to be consistent with the correct logic above.
-        const afterTaxIncome = taxableIncome - taxes.total;
-        const takeHomeAfterLiving = afterTaxIncome - actualLivingExpenses;
-        const takeHomeAfterRoth = takeHomeAfterLiving - roth401kContribution - rothIRAContribution;
-
-
-        // Future value calculations for each bucket
-        const futureValueTrad401k = this.calculateFutureValue(trad401kContribution, investmentReturn, years);
-        const futureValueRoth401k = this.calculateFutureValue(roth401kContribution, investmentReturn, years);
-        const futureValueEmployer = this.calculateFutureValue(employerContribution, investmentReturn, years);
-        const futureValueRothIRA = this.calculateFutureValue(rothIRAContribution, investmentReturn, years);
-
-        // Additional brokerage investment (what's left after all other contributions)
-        const futureValueAdditionalBrokerage = this.calculateFutureValue(additionalBrokerage, investmentReturn, years);
-        
-        return {
-            contribution: trad401kContribution, // Traditional 401K contribution only
-            employerContribution,
-            total401KContribution: total401kContribution + employerContribution,
-            trad401kContribution,
-            roth401kContribution,
-            rothIRAContribution,
-            additionalBrokerage,
-            totalFutureValue: futureValueTrad401k + futureValueRoth401k + futureValueEmployer + futureValueRothIRA + futureValueAdditionalBrokerage,
-            taxableIncome,
-            taxes,
-            discretionaryIncome, // Pass the correct value to the solver
-            takeHomePay: actualLivingExpenses, // Pass the correct value for UI display
-            // UI Waterfall values
-            afterTaxIncome,
-            takeHomeAfterLiving,
-            takeHomeAfterRoth,
-            futureValueTrad401k,
-            futureValueRoth401k,
-            futureValueEmployerMatch: futureValueEmployer,
-            futureValueRothIRA,
-            futureValueAdditionalBrokerage,
-            grossSalary
-        };
+        const fields = Object.fromEntries(SCENARIO_FIELDS.filter(field => params.has(field)).map(field => [field, params.get(field)]));
+        const matchTiers = params.has('matchTiers')
+            ? params.get('matchTiers').split(',').filter(Boolean).map(pair => {
+                const [matchPercent, upToPercent] = pair.split(':').map(Number);
+                return { matchPercent: matchPercent || 0, upToPercent: upToPercent || 0 };
+            })
+            : null;
+        return { version: SCENARIO_STATE_VERSION, fields, matchTiers };
     }
 
-    static calculateNo401KScenario(grossSalary, contributionPercent, investmentReturn, years, targetTakeHome = null, rothIRA = 0) {
-        const taxes = TaxCalculator.calculateTotalTaxes(grossSalary);
-        const afterTaxIncome = grossSalary - taxes.total;
-
-        // Roth IRA is a post-tax contribution
-        const rothIRAContribution = Math.min(rothIRA, 7000);
-
-        const discretionaryIncome = afterTaxIncome - rothIRAContribution;
-
-        // Determine actual living expenses and additional brokerage based on the target
-        let actualLivingExpenses;
-        let brokerageInvestment;
-
-        if (targetTakeHome && discretionaryIncome >= targetTakeHome) {
-            actualLivingExpenses = targetTakeHome;
-            brokerageInvestment = discretionaryIncome - targetTakeHome;
-        } else {
-            actualLivingExpenses = discretionaryIncome;
-            brokerageInvestment = 0;
+    static read() {
+        try {
+            const store = JSON.parse(window.localStorage.getItem(SCENARIO_STORAGE_KEY));
+            if (store?.version === SCENARIO_STATE_VERSION) {
+                return store;
+            }
+        } catch (error) {
+            // Storage is unavailable (e.g. private browsing) or holds malformed data
         }
-        
-        // --- For UI Display ---
-        const takeHomeAfterLiving = afterTaxIncome - actualLivingExpenses;
-        const takeHomeAfterRoth = takeHomeAfterLiving - rothIRAContribution;
-        
-        const futureValueRothIRA = this.calculateFutureValue(rothIRAContribution, investmentReturn, years);
-        const futureValueBrokerage = this.calculateFutureValue(brokerageInvestment, investmentReturn, years);
-        
-        return {
-            taxes,
-            discretionaryIncome, // Pass the correct value to the solver
-            takeHomePay: actualLivingExpenses, // Pass the correct value for UI display
-            brokerageInvestment,
-            rothIRAContribution,
-            futureValueBrokerage: futureValueBrokerage + futureValueRothIRA, // Combined post-tax investments
-            futureValueRothIRA,
-            grossSalary,
-            // UI Waterfall values
-            afterTaxIncome,
-            takeHomeAfterLiving,
-            takeHomeAfterRoth,
-        };
+        return { version: SCENARIO_STATE_VERSION, current: null, scenarios: {} };
     }
 
-    static calculateFutureValue(annualContribution, annualReturn, years) {
-        const monthlyContribution = annualContribution / 12;
-        const monthlyReturn = annualReturn / 100 / 12;
-        const totalMonths = years * 12;
-        
-        if (monthlyReturn === 0) {
-            return monthlyContribution * totalMonths;
+    static write(store) {
+        try {
+            window.localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(store));
+            return true;
+        } catch (error) {
+            return false;
         }
-        
-        return monthlyContribution * ((Math.pow(1 + monthlyReturn, totalMonths) - 1) / monthlyReturn);
     }
 
-    static formatCurrency(amount) {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 0
-        }).format(amount);
+    static list() {
+        return Object.keys(this.read().scenarios).sort((a, b) => a.localeCompare(b));
+    }
+
+    static load(name) {
+        return this.read().scenarios[name] ?? null;
     }
 
-    static formatPercent(percent) {
-        return `${percent.toFixed(1)}%`;
+    static save(name, state) {
+        const store = this.read();
+        store.scenarios[name] = state;
+        return this.write(store);
     }
 
-    static calculateCombinedWithdrawalTaxes(futureValueTrad, futureValueRoth, futureValueEmployer, futureValueRothIRA, futureValueBrokerage, retirementIncome, investmentReturn = 7, retirementYears = 20) {
-        const results = {};
-        const totalFutureValue = futureValueTrad + futureValueRoth + futureValueEmployer + futureValueRothIRA + futureValueBrokerage;
+    static rename(name, newName) {
+        const store = this.read();
+        if (!store.scenarios[name] || store.scenarios[newName]) {
+            return false;
+        }
+        store.scenarios[newName] = store.scenarios[name];
+        delete store.scenarios[name];
+        return this.write(store);
+    }
 
-        // Lump Sum Withdrawal
-        let lumpSumIncome = retirementIncome;
-        lumpSumIncome += futureValueTrad; // Employee traditional contributions are pre-tax
-        lumpSumIncome += futureValueEmployer; // Employer match is always pre-tax
+    static remove(name) {
+        const store = this.read();
+        delete store.scenarios[name];
+        return this.write(store);
+    }
 
-        const incomeTaxes = TaxCalculator.calculateTotalTaxes(lumpSumIncome);
-        const estimatedGains = futureValueBrokerage * 0.7; // Assume 70% is gains, 30% is principal
-        const longTermCapitalGainsRate = 0.20;
-        const capitalGainsTaxes = estimatedGains * longTermCapitalGainsRate;
-        const totalLumpSumTaxes = incomeTaxes.total + capitalGainsTaxes;
+    static loadCurrent() {
+        return this.read().current;
+    }
 
-        results.lumpSum = {
-            total: totalFutureValue,
-            taxes: totalLumpSumTaxes,
-            incomeTaxes: incomeTaxes.total,
-            capitalGainsTaxes: capitalGainsTaxes,
-            net: totalFutureValue - totalLumpSumTaxes,
-            taxRate: totalFutureValue > 0 ? (totalLumpSumTaxes / totalFutureValue) * 100 : 0
-        };
+    static saveCurrent(state) {
+        const store = this.read();
+        store.current = state;
+        return this.write(store);
+    }
+}
 
-        // Annual Withdrawals
-        const annualReturn = investmentReturn / 100;
-        const totalAnnualWithdrawal = this.calculateAnnualWithdrawal(totalFutureValue, annualReturn, retirementYears);
-        
-        const proportionTrad = totalFutureValue > 0 ? futureValueTrad / totalFutureValue : 0;
-        const proportionRoth = totalFutureValue > 0 ? futureValueRoth / totalFutureValue : 0;
-        const proportionEmployer = totalFutureValue > 0 ? futureValueEmployer / totalFutureValue : 0;
-        const proportionRothIRA = totalFutureValue > 0 ? futureValueRothIRA / totalFutureValue : 0;
-        const proportionBrokerage = totalFutureValue > 0 ? futureValueBrokerage / totalFutureValue : 0;
-
-        const annualFromTrad = totalAnnualWithdrawal * proportionTrad;
-        const annualFromRoth = totalAnnualWithdrawal * proportionRoth;
-        const annualFromEmployer = totalAnnualWithdrawal * proportionEmployer;
-        const annualFromRothIRA = totalAnnualWithdrawal * proportionRothIRA;
-        const annualFromBrokerage = totalAnnualWithdrawal * proportionBrokerage;
-
-        let annualTaxableIncome = retirementIncome;
-        annualTaxableIncome += annualFromTrad;
-        annualTaxableIncome += annualFromEmployer;
-        
-        const annualIncomeTaxes = TaxCalculator.calculateTotalTaxes(annualTaxableIncome);
-
-        const annualCapitalGains = annualFromBrokerage * 0.7; // Assume 70% is gains
-        const annualCapitalGainsTaxes = annualCapitalGains * longTermCapitalGainsRate;
-        const totalAnnualTaxes = annualIncomeTaxes.total + annualCapitalGainsTaxes;
-
-        results.annual = {
-            withdrawal: totalAnnualWithdrawal,
-            taxes: totalAnnualTaxes,
-            incomeTaxes: annualIncomeTaxes.total,
-            capitalGainsTaxes: annualCapitalGainsTaxes,
-            net: totalAnnualWithdrawal - totalAnnualTaxes,
-            taxRate: totalAnnualWithdrawal > 0 ? (totalAnnualTaxes / totalAnnualWithdrawal) * 100 : 0
-        };
-        
-        return results;
+/**
+ * Runs engine jobs (see runJob) in module workers, one per channel, so a long optimizer run
+ * doesn't hold up recalculation. Starting a job cancels the channel's running one by restarting
+ * its worker, and the cancelled job's promise resolves to null. Where workers aren't available
+ * jobs run on the main thread, after yielding so the page can repaint.
+ */
+class EngineClient {
+    constructor() {
+        this.workers = new Map();
+        this.running = new Map();
+        this.nextId = 1;
+        this.workersSupported = typeof Worker !== 'undefined';
     }
 
-    static calculateBrokerageWithdrawalTaxes(futureValueBrokerage, retirementIncome, investmentReturn = 7, retirementYears = 20) {
-        const results = {};
-        
-        // Lump sum withdrawal - only capital gains are taxed
-        // We need to estimate the original principal to calculate gains
-        // For simplicity, assume 70% of the future value is gains, 30% is principal
-        const estimatedGains = futureValueBrokerage * 0.7;
-        const longTermCapitalGainsRate = 0.20; // 20% for high earners, 15% for most people
-        const lumpSumCapitalGainsTax = estimatedGains * longTermCapitalGainsRate;
-        
-        results.lumpSum = {
-            total: futureValueBrokerage,
-            taxes: lumpSumCapitalGainsTax,
-            net: futureValueBrokerage - lumpSumCapitalGainsTax,
-            taxRate: futureValueBrokerage > 0 ? (lumpSumCapitalGainsTax / futureValueBrokerage) * 100 : 0
-        };
-        
-        // Annual withdrawals with continued earnings
-        const annualReturn = investmentReturn / 100;
-        const annualWithdrawal = this.calculateAnnualWithdrawal(futureValueBrokerage, annualReturn, retirementYears);
-        
-        // For annual withdrawals, only the growth portion is taxed as capital gains
-        const annualCapitalGains = annualWithdrawal * 0.7; // Assume 70% is growth, 30% is principal
-        const annualCapitalGainsTax = annualCapitalGains * longTermCapitalGainsRate;
-        
-        results.annual = {
-            withdrawal: annualWithdrawal,
-            taxes: annualCapitalGainsTax,
-            net: annualWithdrawal - annualCapitalGainsTax,
-            taxRate: annualWithdrawal > 0 ? (annualCapitalGainsTax / annualWithdrawal) * 100 : 0
-        };
-        
-        return results;
+    run(channel, job, onProgress = () => {}) {
+        this.cancel(channel);
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.running.set(channel, { id, job, resolve, reject, onProgress });
+            const worker = this.getWorker(channel);
+            if (worker) {
+                worker.postMessage({ id, job });
+            } else {
+                setTimeout(() => this.runInline(channel, id), 0);
+            }
+        });
     }
 
-    static calculateAnnualWithdrawal(principal, annualReturn, years) {
-        // Calculate the annual withdrawal amount that will deplete the account over the given years
-        // while accounting for continued growth on the remaining balance
-        if (annualReturn === 0) {
-            return principal / years;
+    // Returns whether a job was running
+    cancel(channel) {
+        const running = this.running.get(channel);
+        if (!running) {
+            return false;
         }
-        
-        // Using the annuity formula: PMT = PV * [r(1+r)^n] / [(1+r)^n - 1]
-        const numerator = annualReturn * Math.pow(1 + annualReturn, years);
-        const denominator = Math.pow(1 + annualReturn, years) - 1;
-        return principal * (numerator / denominator);
+        this.running.delete(channel);
+        this.workers.get(channel)?.terminate();
+        this.workers.delete(channel);
+        running.resolve(null);
+        return true;
     }
 
-    static getPeriodTakeHome(annualTakeHome, frequency) {
-        const periodsPerYear = SALARY_FREQUENCY[frequency];
-        return annualTakeHome / periodsPerYear;
+    getWorker(channel) {
+        if (!this.workersSupported) {
+            return null;
+        }
+        if (!this.workers.has(channel)) {
+            const worker = new Worker('worker.js', { type: 'module' });
+            worker.addEventListener('message', ({ data }) => this.handleMessage(channel, data));
+            // A worker that fails to load (e.g. no module worker support) hands its job to the main thread
+            worker.addEventListener('error', () => {
+                this.workersSupported = false;
+                worker.terminate();
+                this.workers.delete(channel);
+                const running = this.running.get(channel);
+                if (running) {
+                    this.runInline(channel, running.id);
+                }
+            });
+            this.workers.set(channel, worker);
+        }
+        return this.workers.get(channel);
     }
 
-    static findMaxContributionForTarget(grossSalary, targetAnnualTakeHome, employerMatch, rothIRA = 0, investmentReturn = 7, years = 30) {
-        // Binary search to find the maximum contribution % that still meets target
-        let low = 0;
-        let high = Math.min(100, (EMPLOYEE_401K_LIMIT / grossSalary) * 100);
-        let bestPercent = 0;
-        
-        for (let i = 0; i < 30; i++) {
-            const mid = (low + high) / 2;
-            const scenario = FinancialCalculator.calculate401KScenario(grossSalary, mid, employerMatch, investmentReturn, years, targetAnnualTakeHome, 'traditional', 0, rothIRA);
-            
-            // Check if this contribution % allows us to meet the target take-home
-            if (scenario.discretionaryIncome >= targetAnnualTakeHome - 1) {
-                // This contribution % still meets target
-                bestPercent = mid;
-                low = mid;
-            } else {
-                // This contribution % is too high
-                high = mid;
-            }
+    handleMessage(channel, { id, type, ...message }) {
+        const running = this.running.get(channel);
+        if (running?.id !== id) {
+            return;
+        }
+        if (type === 'progress') {
+            running.onProgress(message.done, message.total);
+            return;
+        }
+        this.running.delete(channel);
+        if (type === 'error') {
+            running.reject(new Error(message.message));
+        } else {
+            running.resolve(message.result);
         }
-        
-        return Math.round(bestPercent * 10) / 10;
     }
 
+    runInline(channel, id) {
+        const running = this.running.get(channel);
+        if (running?.id !== id) {
+            return;
+        }
+        this.running.delete(channel);
+        try {
+            running.resolve(runJob(running.job, running.onProgress));
+        } catch (error) {
+            running.reject(error);
+        }
+    }
 }
 
 class ChartManager {
@@ -364,14 +218,22 @@ class ChartManager {
         this.charts = {};
     }
 
-    createTakeHomeChart(data) {
-        const ctx = document.getElementById('takehomeChart').getContext('2d');
-        
-        if (this.charts.takehome) {
-            this.charts.takehome.destroy();
+    // Each chart is created once and then updated in place: rebuilding every chart on every
+    // calculation is what froze the page while typing
+    render(key, canvasId, config) {
+        const chart = this.charts[key];
+        if (chart?.config.type === config.type) {
+            chart.data = config.data;
+            chart.options = config.options;
+            chart.update('none');
+            return;
         }
+        chart?.destroy();
+        this.charts[key] = new Chart(document.getElementById(canvasId).getContext('2d'), config);
+    }
 
-        this.charts.takehome = new Chart(ctx, {
+    createTakeHomeChart(data) {
+        this.render('takehome', 'takehomeChart', {
             type: 'bar',
             data: {
                 labels: ['Without 401K', 'With 401K'],
@@ -421,14 +283,18 @@ class ChartManager {
         });
     }
 
+    /**
+     * Future value of each scenario. When `data.scenarios` lists pinned scenarios
+     * ({ name, no401k, with401k }), they are overlaid as grouped bars and each tooltip shows the
+     * difference from the first one.
+     */
     createWealthChart(data) {
-        const ctx = document.getElementById('wealthChart').getContext('2d');
-        
-        if (this.charts.wealth) {
-            this.charts.wealth.destroy();
+        if (data.scenarios?.length) {
+            this.render('wealth', 'wealthChart', this.getScenarioWealthChartConfig(data.scenarios));
+            return;
         }
 
-        this.charts.wealth = new Chart(ctx, {
+        this.render('wealth', 'wealthChart', {
             type: 'bar',
             data: {
                 labels: ['Brokerage Account', '401K Account'],
@@ -478,24 +344,191 @@ class ChartManager {
         });
     }
 
-    createTaxChart(data) {
-        const ctx = document.getElementById('taxChart').getContext('2d');
-        
-        if (this.charts.tax) {
-            this.charts.tax.destroy();
-        }
+    getScenarioWealthChartConfig(scenarios) {
+        const colors = ['#10ac84', '#667eea', '#ff9f43', '#ee5253'];
+        const baseline = scenarios[0];
+        const values = scenario => [scenario.no401k.futureValue, scenario.with401k.futureValue];
+
+        return {
+            type: 'bar',
+            data: {
+                labels: ['Brokerage Account', '401K Account'],
+                datasets: scenarios.map((scenario, index) => ({
+                    label: scenario.name,
+                    data: values(scenario),
+                    backgroundColor: colors[index % colors.length],
+                    borderColor: colors[index % colors.length],
+                    borderWidth: 2
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                aspectRatio: 1.5,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'bottom'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                const label = `${context.dataset.label}: ${FinancialCalculator.formatCurrency(context.parsed.y)}`;
+                                if (context.datasetIndex === 0) {
+                                    return label;
+                                }
+                                const difference = context.parsed.y - values(baseline)[context.dataIndex];
+                                return `${label} (${difference >= 0 ? '+' : '−'}${FinancialCalculator.formatCurrency(Math.abs(difference))} vs. ${baseline.name})`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            callback: function(value) {
+                                return FinancialCalculator.formatCurrency(value);
+                            }
+                        }
+                    }
+                }
+            }
+        };
+    }
+
+    // Percentile bands of simulated balances: 10th-90th and 25th-75th ranges with the median on top
+    createFanChart(data) {
+        const band = (label, key, fill, backgroundColor) => ({
+            label,
+            data: data.bands.map(values => values[key]),
+            fill,
+            backgroundColor,
+            borderColor: 'transparent',
+            pointRadius: 0
+        });
+
+        this.render('fan', 'fanChart', {
+            type: 'line',
+            data: {
+                labels: data.labels,
+                datasets: [
+                    band('90th Percentile', 'p90', '+1', 'rgba(102, 126, 234, 0.15)'),
+                    band('10th Percentile', 'p10', false, 'rgba(102, 126, 234, 0.15)'),
+                    band('75th Percentile', 'p75', '+1', 'rgba(102, 126, 234, 0.3)'),
+                    band('25th Percentile', 'p25', false, 'rgba(102, 126, 234, 0.3)'),
+                    {
+                        label: 'Median',
+                        data: data.bands.map(values => values.p50),
+                        fill: false,
+                        borderColor: '#667eea',
+                        borderWidth: 2,
+                        pointRadius: 0
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                return `${context.dataset.label}: ${FinancialCalculator.formatCurrency(context.parsed.y)}`;
+                            },
+                            footer: function(items) {
+                                return items[0].dataIndex > data.retirementIndex ? 'Retired' : '';
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            callback: function(value) {
+                                return FinancialCalculator.formatCurrency(value);
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
 
-        this.charts.tax = new Chart(ctx, {
+    createBacktestChart(data) {
+        this.render('backtest', 'backtestChart', {
+            type: 'bar',
+            data: {
+                labels: data.labels,
+                datasets: [
+                    {
+                        label: 'With 401K',
+                        data: data.with401k,
+                        backgroundColor: '#10ac84'
+                    },
+                    {
+                        label: 'Without 401K',
+                        data: data.no401k,
+                        backgroundColor: '#ff9f43'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            title: function(items) {
+                                return `Starting ${items[0].label}`;
+                            },
+                            label: function(context) {
+                                return `${context.dataset.label}: ${FinancialCalculator.formatCurrency(context.parsed.y)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            callback: function(value) {
+                                return FinancialCalculator.formatCurrency(value);
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    createTaxChart(data) {
+        const taxes = data.with401k.taxes;
+        const slices = [
+            { label: 'Federal Income Tax', value: taxes.federal, color: '#e74c3c' },
+            { label: 'State Income Tax', value: taxes.state, color: '#f39c12' },
+            { label: 'Local Income Tax', value: taxes.local, color: '#d35400' },
+            { label: 'Social Security', value: taxes.payroll.socialSecurity, color: '#3498db' },
+            { label: 'Medicare', value: taxes.payroll.medicare, color: '#1abc9c' },
+            { label: 'Additional Medicare', value: taxes.payroll.additionalMedicare, color: '#9b59b6' },
+            ...taxes.payroll.statePrograms.map(program => ({ label: program.name, value: program.amount, color: '#95a5a6' }))
+        ].filter(slice => slice.value > 0);
+
+        this.render('tax', 'taxChart', {
             type: 'doughnut',
             data: {
-                labels: ['Federal Tax', 'State Tax', 'FICA Tax'],
+                labels: slices.map(slice => slice.label),
                 datasets: [{
-                    data: [
-                        data.with401k.taxes.federal,
-                        data.with401k.taxes.state,
-                        data.with401k.taxes.fica
-                    ],
-                    backgroundColor: ['#e74c3c', '#f39c12', '#3498db'],
+                    data: slices.map(slice => slice.value),
+                    backgroundColor: slices.map(slice => slice.color),
                     borderWidth: 2,
                     borderColor: '#fff'
                 }]
@@ -537,7 +570,284 @@ class ChartManager {
 class App {
     constructor() {
         this.chartManager = new ChartManager();
+        this.ledgerRows = [];
+        this.ledgerSort = { key: 'year', direction: 'asc' };
+        this.pinnedScenarios = [];
+        this.optimizerStrategies = [];
+        this.lastCalculation = null;
+        this.engine = new EngineClient();
+        this.recalculateTimer = null;
+        this.initializeTaxYearSelector();
+        this.initializeStateSelectors();
+        this.initializeEmployerPlanEditor();
+        const restored = this.initializeScenarioControls();
         this.initializeEventListeners();
+        if (restored) {
+            this.calculate();
+        }
+    }
+
+    initializeTaxYearSelector() {
+        const taxYearSelect = document.getElementById('taxYear');
+        TaxYearData.getKnownYears().forEach(year => {
+            taxYearSelect.add(new Option(year, year, false, year === DEFAULT_TAX_YEAR));
+        });
+    }
+
+    initializeStateSelectors() {
+        const stateSelect = document.getElementById('state');
+        Object.entries(STATE_TAX_REGISTRY)
+            .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+            .forEach(([code, rules]) => {
+                stateSelect.add(new Option(rules.name, code, false, code === 'CA'));
+            });
+
+        // Registered before the generic select listener so localities are current when it recalculates
+        stateSelect.addEventListener('change', () => this.updateLocalityOptions());
+        this.updateLocalityOptions();
+    }
+
+    updateLocalityOptions() {
+        const localitySelect = document.getElementById('locality');
+        const localityGroup = document.getElementById('localityGroup');
+        const localities = TaxCalculator.getStateRules({ state: document.getElementById('state').value }).localities || {};
+
+        localitySelect.innerHTML = '';
+        localitySelect.add(new Option('None', ''));
+        Object.entries(localities).forEach(([code, locality]) => {
+            localitySelect.add(new Option(locality.name, code));
+        });
+        localityGroup.style.display = Object.keys(localities).length ? 'flex' : 'none';
+    }
+
+    initializeEmployerPlanEditor() {
+        const tiersContainer = document.getElementById('matchTiers');
+        this.renderMatchTiers(DEFAULT_EMPLOYER_PLAN.tiers);
+
+        document.getElementById('addMatchTierBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.renderMatchTiers([...this.readMatchTiers(), { matchPercent: 50, upToPercent: 2 }]);
+            this.calculate();
+        });
+        tiersContainer.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.remove-tier-btn');
+            if (removeBtn) {
+                e.preventDefault();
+                this.renderMatchTiers(this.readMatchTiers().filter((tier, index) => index !== Number(removeBtn.dataset.index)));
+                this.calculate();
+            }
+        });
+        tiersContainer.addEventListener('input', () => this.scheduleCalculate());
+
+        // Registered before the generic select listener so the plan is current when it recalculates
+        const vestingSelect = document.getElementById('vestingType');
+        vestingSelect.addEventListener('change', () => this.updateVestingOptions());
+        this.updateVestingOptions();
+    }
+
+    renderMatchTiers(tiers) {
+        document.getElementById('matchTiers').innerHTML = tiers.map((tier, index) => `
+            <div class="match-tier">
+                <input type="number" class="tier-match" value="${tier.matchPercent}" min="0" max="200" step="5">
+                <span>% of the ${index === 0 ? 'first' : 'next'}</span>
+                <input type="number" class="tier-up-to" value="${tier.upToPercent}" min="0" max="100" step="0.5">
+                <span>% of pay</span>
+                <button type="button" class="remove-tier-btn" data-index="${index}" title="Remove tier"><i class="fas fa-times"></i></button>
+            </div>`).join('');
+    }
+
+    readMatchTiers() {
+        return [...document.querySelectorAll('#matchTiers .match-tier')].map(row => ({
+            matchPercent: parseFloat(row.querySelector('.tier-match').value) || 0,
+            upToPercent: parseFloat(row.querySelector('.tier-up-to').value) || 0
+        }));
+    }
+
+    updateVestingOptions() {
+        document.getElementById('vestingYearsGroup').style.display = document.getElementById('vestingType').value === 'immediate' ? 'none' : 'flex';
+    }
+
+    // Restores a shared link, or else the last-used state; returns whether anything was restored
+    initializeScenarioControls() {
+        const savedSelect = document.getElementById('savedScenarios');
+        const nameInput = document.getElementById('scenarioName');
+        this.renderSavedScenarios();
+
+        savedSelect.addEventListener('change', () => {
+            nameInput.value = savedSelect.value;
+        });
+        document.getElementById('saveScenarioBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            const name = nameInput.value.trim();
+            if (!name) {
+                this.showScenarioMessage('Enter a name to save this scenario.');
+                return;
+            }
+            const saved = ScenarioStore.save(name, this.captureScenarioState());
+            this.renderSavedScenarios(name);
+            this.showScenarioMessage(saved ? `Saved "${name}".` : 'This browser isn\'t allowing saved scenarios.');
+        });
+        document.getElementById('loadScenarioBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            const state = ScenarioStore.load(savedSelect.value);
+            if (!state) {
+                this.showScenarioMessage('Choose a saved scenario to load.');
+                return;
+            }
+            this.applyScenarioState(state);
+            this.calculate();
+            this.showScenarioMessage(`Loaded "${savedSelect.value}".`);
+        });
+        document.getElementById('renameScenarioBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            const name = savedSelect.value;
+            const newName = nameInput.value.trim();
+            if (!name || !newName || newName === name) {
+                this.showScenarioMessage('Choose a saved scenario and type its new name.');
+                return;
+            }
+            if (!ScenarioStore.rename(name, newName)) {
+                this.showScenarioMessage(`A scenario named "${newName}" already exists.`);
+                return;
+            }
+            this.renderSavedScenarios(newName);
+            this.showScenarioMessage(`Renamed "${name}" to "${newName}".`);
+        });
+        document.getElementById('deleteScenarioBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            const name = savedSelect.value;
+            if (!name) {
+                this.showScenarioMessage('Choose a saved scenario to delete.');
+                return;
+            }
+            ScenarioStore.remove(name);
+            this.renderSavedScenarios();
+            nameInput.value = '';
+            this.showScenarioMessage(`Deleted "${name}".`);
+        });
+        document.getElementById('shareScenarioBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            const url = `${window.location.href.split('#')[0]}${ScenarioStore.toHash(this.captureScenarioState())}`;
+            const copied = navigator.clipboard?.writeText(url);
+            if (copied) {
+                copied.then(() => this.showScenarioMessage('Link copied to the clipboard.'), () => this.showScenarioMessage(url));
+            } else {
+                this.showScenarioMessage(url);
+            }
+        });
+
+        document.getElementById('pinScenarioBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            // Pins the selected saved scenario, or else the current inputs
+            const state = ScenarioStore.load(savedSelect.value) ?? this.captureScenarioState();
+            this.pinScenario(savedSelect.value || nameInput.value.trim() || `Scenario ${this.pinnedScenarios.length + 1}`, state);
+        });
+        document.getElementById('comparisonTable').addEventListener('click', (e) => {
+            const unpinBtn = e.target.closest('.unpin-btn');
+            if (unpinBtn) {
+                e.preventDefault();
+                this.pinnedScenarios.splice(Number(unpinBtn.dataset.index), 1);
+                this.calculate();
+            }
+        });
+
+        const state = ScenarioStore.fromHash(window.location.hash) ?? ScenarioStore.loadCurrent();
+        if (!state) {
+            return false;
+        }
+        this.applyScenarioState(state);
+        return true;
+    }
+
+    renderSavedScenarios(selected = '') {
+        const savedSelect = document.getElementById('savedScenarios');
+        savedSelect.innerHTML = '';
+        savedSelect.add(new Option('Saved scenarios…', ''));
+        ScenarioStore.list().forEach(name => savedSelect.add(new Option(name, name, false, name === selected)));
+    }
+
+    pinScenario(name, state) {
+        if (this.pinnedScenarios.length >= MAX_PINNED_SCENARIOS) {
+            this.showScenarioMessage(`Up to ${MAX_PINNED_SCENARIOS} scenarios can be compared; unpin one first.`);
+            return Promise.resolve();
+        }
+        const inputs = this.getInputValues(state);
+        if (inputs.grossSalary <= 0) {
+            this.showScenarioMessage('Enter a salary before pinning a scenario.');
+            return Promise.resolve();
+        }
+        // Pinning again before this one finishes cancels it
+        this.showScenarioMessage(`Pinning "${name}"...`);
+        return this.engine.run('pin', { type: 'scenario', inputs }).then(result => {
+            if (!result) {
+                return;
+            }
+            this.pinnedScenarios.push({ name, inputs, result });
+            this.showScenarioMessage(this.pinnedScenarios.length === 1
+                ? `Pinned "${name}". Pin another scenario to compare them.`
+                : `Pinned "${name}" (${this.pinnedScenarios.length} of ${MAX_PINNED_SCENARIOS}).`);
+            this.calculate();
+        }).catch(error => {
+            this.showScenarioMessage(`Couldn't pin "${name}": ${error.message}`);
+        });
+    }
+
+    showScenarioMessage(message) {
+        document.getElementById('scenarioMessage').textContent = message;
+    }
+
+    // Reads the form, or a saved scenario state captured from it
+    getInputValues(state = this.captureScenarioState()) {
+        return ScenarioRunner.fromState(state);
+    }
+
+    captureScenarioState() {
+        const fields = Object.fromEntries(SCENARIO_FIELDS.map(field => {
+            const element = document.getElementById(field);
+            return [field, element.type === 'checkbox' ? element.checked : element.value];
+        }));
+        return { version: SCENARIO_STATE_VERSION, fields, matchTiers: this.readMatchTiers() };
+    }
+
+    applyScenarioState(state) {
+        const setField = (field, value) => {
+            const element = document.getElementById(field);
+            if (!element) {
+                return;
+            }
+            if (element.type === 'checkbox') {
+                element.checked = value === true || value === '1';
+            } else if (element.tagName !== 'SELECT' || [...element.options].some(option => option.value === String(value))) {
+                element.value = value;
+            }
+        };
+
+        // Localities are only listed once their state is selected
+        const { locality, ...fields } = state.fields;
+        Object.entries(fields).forEach(([field, value]) => setField(field, value));
+        this.updateLocalityOptions();
+        if (locality !== undefined) {
+            setField('locality', locality);
+        }
+        if (state.matchTiers) {
+            this.renderMatchTiers(state.matchTiers);
+        }
+        this.updateVestingOptions();
+        this.updateReturnModelOptions();
+        this.updateWithdrawalTypeOptions();
+    }
+
+    // Every calculation refreshes the last-used state and the shareable URL
+    persistScenarioState() {
+        const state = this.captureScenarioState();
+        ScenarioStore.saveCurrent(state);
+        window.history.replaceState(null, '', ScenarioStore.toHash(state));
+    }
+
+    updateWithdrawalTypeOptions() {
+        const distributed = document.getElementById('withdrawalType').value === 'distributed';
+        document.getElementById('withdrawalYearsGroup').style.display = distributed ? 'block' : 'none';
+        document.getElementById('withdrawalTotalLabel').textContent = distributed ? 'Annual Withdrawal' : 'Total Withdrawal';
     }
 
     initializeEventListeners() {
@@ -547,21 +857,34 @@ class App {
         });
 
         // Auto-calculate on input change for primary fields
-        const inputs = document.querySelectorAll('#grossSalary, #contributionPercent, #employerMatch, #investmentReturn, #years, #retirementYears, #retirementIncome');
+        const inputs = document.querySelectorAll('#grossSalary, #salaryGrowth, #contributionPercent, #escalationRate, #escalationCap, #investmentReturn, #dividendYield, #afterTax401k, #hsaContribution, #employerHsaContribution, #nonElectivePercent, #annualMatchCap, #vestingYears, #yearsOfService, #yearsUntilLeave, #volatility, #simulations, #simulationSeed, #stockAllocation, #currentAge, #retirementAge, #retirementYears, #withdrawalYears, #retirementIncome, #retirementSpending, #retirementMedicalExpenses, #traditionalIraBalance, #socialSecurityBenefit, #socialSecurityAge, #heirTaxRate, #inflationRate, #itemizedDeductions, #adjustments');
         inputs.forEach(input => {
             input.addEventListener('input', () => {
-                this.calculate();
+                this.scheduleCalculate();
             });
         });
 
         // Recalculate on select changes
+        document.getElementById('returnModel').addEventListener('change', () => this.updateReturnModelOptions());
+        this.updateReturnModelOptions();
+
+        document.getElementById('withdrawalType').addEventListener('change', () => this.updateWithdrawalTypeOptions());
+
         const selects = document.querySelectorAll('select');
         selects.forEach(sel => {
             sel.addEventListener('change', () => {
-                this.calculate();
+                this.scheduleCalculate();
             });
         });
 
+        document.getElementById('realDollars').addEventListener('change', () => {
+            this.scheduleCalculate();
+        });
+
+        document.getElementById('useSepp').addEventListener('change', () => {
+            this.scheduleCalculate();
+        });
+
         // Inverse solver handler
         const solveBtn = document.getElementById('solveContributionBtn');
         if (solveBtn) {
@@ -571,6 +894,11 @@ class App {
             });
         }
 
+        document.getElementById('solveGoalBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.solveGoal();
+        });
+
         const optimizerBtn = document.getElementById('findBestStrategyBtn');
         if(optimizerBtn) {
             optimizerBtn.addEventListener('click', (e) => {
@@ -578,90 +906,113 @@ class App {
                 this.findBestStrategy();
             });
         }
+        document.getElementById('optimizerBody').addEventListener('click', (e) => {
+            const applyBtn = e.target.closest('.apply-strategy-btn');
+            if (applyBtn) {
+                e.preventDefault();
+                this.applyStrategy(this.optimizerStrategies[Number(applyBtn.dataset.index)]);
+            }
+        });
+
+        document.getElementById('exportCsvBtn').addEventListener('click', () => this.exportReport('csv'));
+        document.getElementById('exportJsonBtn').addEventListener('click', () => this.exportReport('json'));
+        document.getElementById('printReportBtn').addEventListener('click', () => this.printReport());
+
+        // Sortable ledger headers
+        document.querySelectorAll('#ledgerTable th[data-sort-key]').forEach(header => {
+            header.addEventListener('click', () => {
+                const key = header.dataset.sortKey;
+                const direction = this.ledgerSort.key === key && this.ledgerSort.direction === 'asc' ? 'desc' : 'asc';
+                this.ledgerSort = { key, direction };
+                this.renderLedgerRows();
+            });
+        });
     }
 
-    getInputValues() {
-        return {
-            grossSalary: parseFloat(document.getElementById('grossSalary').value) || 0,
-            contributionPercent: parseFloat(document.getElementById('contributionPercent').value) || 0,
-            employerMatch: parseFloat(document.getElementById('employerMatch').value) || 0,
-            investmentReturn: parseFloat(document.getElementById('investmentReturn').value) || 0,
-            years: parseInt(document.getElementById('years').value) || 0,
-            salaryFrequency: document.getElementById('salaryFrequency').value,
-            retirementIncome: parseFloat(document.getElementById('retirementIncome').value) || 0,
-            retirementYears: parseInt(document.getElementById('retirementYears').value) || 20,
-            roth401kMax: parseFloat(document.getElementById('roth401kMax').value) || 0,
-            rothIRA: parseFloat(document.getElementById('rothIRAContribution').value) || 0,
-        };
+    // Waits for typing to pause, so a burst of keystrokes recalculates once
+    scheduleCalculate() {
+        clearTimeout(this.recalculateTimer);
+        this.recalculateTimer = setTimeout(() => this.calculate(), RECALCULATE_DELAY);
+    }
+
+    // Edits still waiting on the debounce haven't cancelled anything yet, so results are checked too
+    formChangedSince(state) {
+        return JSON.stringify(this.captureScenarioState()) !== JSON.stringify(state);
+    }
+
+    // Runs a recalculation still waiting on the debounce now, so it doesn't cancel a job started after it
+    flushScheduledCalculation() {
+        if (this.recalculateTimer !== null) {
+            this.calculate();
+        }
     }
 
+    // Runs the scenario in the worker and renders it; a newer calculation cancels this one.
+    // Resolves once the results are on the page (or the run was cancelled).
     calculate() {
+        clearTimeout(this.recalculateTimer);
+        this.recalculateTimer = null;
         const inputs = this.getInputValues();
+        const state = this.captureScenarioState();
+        this.persistScenarioState();
         
+        document.getElementById('years').value = inputs.years;
+
+        // Optimizer and solver runs for the old inputs are stale now; the solvers would otherwise
+        // write their answer over the edit
+        if (this.engine.cancel('optimizer')) {
+            this.hideProgress('optimizerProgress');
+            document.getElementById('optimizerMessage').textContent = 'Inputs changed; run the optimizer again.';
+        }
+        if (this.engine.cancel('solver')) {
+            document.getElementById('goalMessage').textContent = 'Inputs changed; solve again.';
+        }
+        if (this.engine.cancel('takeHome')) {
+            document.getElementById('solveMessage').textContent = 'Inputs changed; solve again.';
+        }
+
         if (inputs.grossSalary <= 0) {
-            return;
+            this.engine.cancel('scenario');
+            this.hideProgress('calculationProgress');
+            return Promise.resolve();
         }
 
-        // Get target annual take-home if specified
-        const targetPerPay = parseFloat(document.getElementById('targetPerPay').value || '');
-        const targetAnnualTakeHome = targetPerPay ? targetPerPay * SALARY_FREQUENCY[inputs.salaryFrequency] : null;
-
-        // Calculate scenarios
-        const with401K = FinancialCalculator.calculate401KScenario(
-            inputs.grossSalary,
-            inputs.contributionPercent,
-            inputs.employerMatch,
-            inputs.investmentReturn,
-            inputs.years,
-            targetAnnualTakeHome,
-            'traditional', // This will be handled internally now
-            inputs.roth401kMax,
-            inputs.rothIRA
-        );
-
-        const no401K = FinancialCalculator.calculateNo401KScenario(
-            inputs.grossSalary,
-            inputs.contributionPercent,
-            inputs.investmentReturn,
-            inputs.years,
-            targetAnnualTakeHome,
-            inputs.rothIRA // Pass rothIRA contribution
-        );
-
-        // Calculate benefits
-        const taxSavings = no401K.taxes.total - with401K.taxes.total;
-        const wealthDifference = with401K.totalFutureValue - no401K.futureValueBrokerage;
-        const roi401K = (wealthDifference / (with401K.contribution * inputs.years)) * 100;
-
-        // Get withdrawal type and years
-        const withdrawalType = document.getElementById('withdrawalType')?.value || 'lumpSum';
-        const withdrawalYears = parseInt(document.getElementById('withdrawalYears')?.value || inputs.retirementYears);
-        
-        // Calculate withdrawal taxes
-        const withdrawalTaxes = FinancialCalculator.calculateCombinedWithdrawalTaxes(
-            with401K.futureValueTrad401k,
-            with401K.futureValueRoth401k,
-            with401K.futureValueEmployerMatch,
-            with401K.futureValueRothIRA,
-            with401K.futureValueAdditionalBrokerage,
-            inputs.retirementIncome, 
-            inputs.investmentReturn,
-            withdrawalYears
-        );
-
-        // Calculate brokerage withdrawal taxes
-        const brokerageWithdrawalTaxes = FinancialCalculator.calculateBrokerageWithdrawalTaxes(
-            no401K.futureValueBrokerage,
-            inputs.retirementIncome,
-            inputs.investmentReturn,
-            inputs.retirementYears
-        );
+        return this.engine.run('scenario', { type: 'scenario', inputs }, (done, total) => {
+            this.showProgress('calculationProgress', done / total, 'Simulating');
+        }).then(results => {
+            if (results) {
+                this.hideProgress('calculationProgress');
+                this.renderResults(state, inputs, results);
+            }
+        }).catch(error => {
+            this.showProgress('calculationProgress', null, `Calculation failed: ${error.message}`);
+        });
+    }
 
+    renderResults(state, inputs, results) {
+        const {
+            targetAnnualTakeHome, with401K, no401K, taxSavings, wealthDifference, roi401K,
+            withdrawalYears, withdrawalTaxes, brokerageWithdrawalTaxes
+        } = results;
+        // Kept for exports
+        this.lastCalculation = { state, inputs, results };
+
+        // Withdrawals start at retirement, so they are deflated over the full investment timeline
+        const displayWithdrawalTaxes = inputs.realDollars
+            ? FinancialCalculator.toRealWithdrawals(withdrawalTaxes, inputs.inflationRate, inputs.years)
+            : withdrawalTaxes;
+        const displayBrokerageWithdrawalTaxes = inputs.realDollars
+            ? FinancialCalculator.toRealWithdrawals(brokerageWithdrawalTaxes, inputs.inflationRate, inputs.years)
+            : brokerageWithdrawalTaxes;
         
         // Update UI
-        this.updateResults(no401K, with401K, taxSavings, wealthDifference, roi401K, inputs.salaryFrequency, withdrawalTaxes, brokerageWithdrawalTaxes);
-        this.updateContributionLimitViz(inputs.grossSalary, inputs.contributionPercent);
+        this.updateResults(no401K, with401K, taxSavings, wealthDifference, roi401K, inputs.salaryFrequency, displayWithdrawalTaxes, displayBrokerageWithdrawalTaxes);
+        this.updateContributionLimitViz(inputs.grossSalary, inputs.contributionPercent, inputs.taxProfile);
+        this.updateLimitHelpText(inputs.taxProfile);
+        this.updateAfterTaxHelpText(inputs, with401K);
+        this.updateRothIRAWarning(inputs, with401K, no401K);
         this.updateTargetInfoSection(inputs, targetAnnualTakeHome, with401K, no401K);
+        this.updateLedgerTable(results.ledgerRows);
         
         // Create charts
         this.chartManager.createTakeHomeChart({
@@ -669,62 +1020,260 @@ class App {
             with401k: { takeHomePay: with401K.takeHomePay }
         });
 
+        // Two or more pinned scenarios are overlaid instead of the current inputs
+        const pinnedDollars = (scenario, amount) => ScenarioRunner.toDisplayDollars(amount, scenario.inputs.years, { ...scenario.inputs, realDollars: inputs.realDollars });
         this.chartManager.createWealthChart({
-            no401k: { futureValue: no401K.futureValueBrokerage },
-            with401k: { futureValue: with401K.totalFutureValue }
+            no401k: { futureValue: ScenarioRunner.toDisplayDollars(no401K.totalFutureValue, inputs.years, inputs) },
+            with401k: { futureValue: ScenarioRunner.toDisplayDollars(with401K.totalFutureValue, inputs.years, inputs) },
+            scenarios: this.pinnedScenarios.length >= 2
+                ? this.pinnedScenarios.map(scenario => ({
+                    name: scenario.name,
+                    no401k: { futureValue: pinnedDollars(scenario, scenario.result.no401K.totalFutureValue) },
+                    with401k: { futureValue: pinnedDollars(scenario, scenario.result.with401K.totalFutureValue) }
+                }))
+                : []
         });
+        this.updateComparison(inputs);
 
         this.chartManager.createTaxChart({
             with401k: { taxes: with401K.taxes }
         });
 
+        this.updateDrawdown(inputs, results.drawdown);
+        this.updateSimulation(inputs, results.simulation, withdrawalYears);
+
         // Show results
         document.getElementById('resultsSection').style.display = 'block';
     }
 
+    // Shows a job's progress bar; `fraction` null shows just the label (e.g. an error)
+    showProgress(id, fraction, label) {
+        const container = document.getElementById(id);
+        const bar = container.querySelector('progress');
+        bar.style.display = fraction == null ? 'none' : '';
+        if (fraction != null) {
+            bar.value = fraction;
+        }
+        container.querySelector('.progress-label').textContent = fraction == null ? label : `${label}... ${Math.round(fraction * 100)}%`;
+        container.style.display = 'flex';
+    }
+
+    hideProgress(id) {
+        document.getElementById(id).style.display = 'none';
+    }
+
+    // Pinned scenarios in parallel columns, with each value's difference from the first one
+    updateComparison(inputs) {
+        const section = document.getElementById('comparisonSection');
+        const pinned = this.pinnedScenarios;
+        section.style.display = pinned.length ? 'block' : 'none';
+        if (!pinned.length) {
+            return;
+        }
+
+        const display = (scenario, amount) => ScenarioRunner.toDisplayDollars(amount, scenario.inputs.years, { ...scenario.inputs, realDollars: inputs.realDollars });
+        // `better` says which direction wins a row; rows without one aren't ranked
+        const groups = [
+            ['First-Year Waterfall (With 401K)', [
+                { label: 'Gross Salary', value: s => s.result.with401K.grossSalary, better: 'high' },
+                { label: 'Pre-Tax 401K & HSA', value: s => s.result.with401K.trad401kContribution + s.result.with401K.employeeHsaContribution },
+                { label: 'Total Taxes', value: s => s.result.with401K.taxes.total, better: 'low' },
+                { label: 'Roth & After-Tax Savings', value: s => s.result.with401K.roth401kContribution + s.result.with401K.afterTax401kContribution + s.result.with401K.rothIRAContribution },
+                { label: 'Employer Contributions', value: s => s.result.with401K.employerContribution, better: 'high' },
+                { label: 'Take-Home Pay', value: s => s.result.with401K.takeHomePay, better: 'high' }
+            ]],
+            ['Future Value', [
+                { label: 'With 401K', value: s => display(s, s.result.with401K.totalFutureValue), better: 'high' },
+                { label: 'Without 401K', value: s => display(s, s.result.no401K.totalFutureValue), better: 'high' },
+                { label: '401K Advantage', value: s => display(s, s.result.wealthDifference), better: 'high' }
+            ]],
+            ['After-Tax Retirement (With 401K)', [
+                { label: 'Lump Sum After Taxes', value: s => display(s, s.result.withdrawalTaxes.lumpSum.net), better: 'high' },
+                { label: 'Annual Income After Taxes', value: s => display(s, s.result.withdrawalTaxes.annual.net), better: 'high' },
+                { label: 'Annual Withdrawal Tax Rate', value: s => s.result.withdrawalTaxes.annual.taxRate, better: 'low', percent: true }
+            ]]
+        ];
+
+        const format = (amount, percent) => percent ? `${amount.toFixed(1)}%` : FinancialCalculator.formatCurrency(amount);
+        const formatDifference = (difference, percent) => `${difference > 0 ? '+' : '−'}${format(Math.abs(difference), percent)}`;
+
+        document.getElementById('comparisonHead').innerHTML = `
+            <tr>
+                <th></th>
+                ${pinned.map((scenario, index) => `<th>${this.escapeHtml(scenario.name)} <button type="button" class="remove-tier-btn unpin-btn" data-index="${index}" title="Unpin"><i class="fas fa-times"></i></button></th>`).join('')}
+            </tr>`;
+        document.getElementById('comparisonBody').innerHTML = groups.map(([title, rows]) => `
+            <tr class="comparison-group"><td colspan="${pinned.length + 1}">${title}</td></tr>
+            ${rows.map(row => {
+                const values = pinned.map(row.value);
+                const best = row.better === 'low' ? Math.min(...values) : Math.max(...values);
+                const ranked = row.better && pinned.length > 1 && values.some(value => Math.abs(value - values[0]) >= 0.5);
+                return `<tr>
+                    <td>${row.label}</td>
+                    ${values.map((value, index) => {
+                        const difference = value - values[0];
+                        const changed = index > 0 && Math.abs(difference) >= (row.percent ? 0.05 : 0.5);
+                        const trend = row.better ? ((difference > 0) === (row.better === 'high') ? 'better' : 'worse') : '';
+                        return `<td class="${ranked && value === best ? 'best-value' : ''}">
+                            ${format(value, row.percent)}
+                            ${changed ? `<small class="comparison-difference ${trend}">${formatDifference(difference, row.percent)}</small>` : ''}
+                        </td>`;
+                    }).join('')}
+                </tr>`;
+            }).join('')}`).join('');
+    }
+
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
+    // Form labels keyed by field id, for reports
+    getInputLabels() {
+        return Object.fromEntries(SCENARIO_FIELDS.map(field => {
+            const label = document.querySelector(`label[for="${field}"]`) || document.getElementById(field).closest('label');
+            return [field, label ? label.textContent.trim() : field];
+        }));
+    }
+
+    buildReport() {
+        if (!this.lastCalculation) {
+            return null;
+        }
+        const { state, inputs, results } = this.lastCalculation;
+        return ScenarioReport.build(state, inputs, results, this.getInputLabels());
+    }
+
+    exportReport(format) {
+        const report = this.buildReport();
+        if (!report) {
+            return;
+        }
+        const filename = `401k-report-${report.generatedAt.slice(0, 10)}`;
+        if (format === 'csv') {
+            this.downloadFile(`${filename}.csv`, ScenarioReport.toCsv(report), 'text/csv');
+        } else {
+            this.downloadFile(`${filename}.json`, ScenarioReport.toJson(report), 'application/json');
+        }
+    }
+
+    downloadFile(filename, contents, type) {
+        const url = URL.createObjectURL(new Blob([contents], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // Fills the print-only report with the summary tables and chart images, then opens the print dialog
+    printReport() {
+        const report = this.buildReport();
+        if (!report) {
+            return;
+        }
+        const format = (item, value) => {
+            if (typeof value !== 'number') {
+                return this.escapeHtml(value);
+            }
+            return item.endsWith('(%)') ? FinancialCalculator.formatPercent(value) : FinancialCalculator.formatCurrency(value);
+        };
+        const charts = [['Take-Home Pay Comparison', 'takehome'], ['Future Wealth Comparison', 'wealth'], ['Tax Impact', 'tax']]
+            .filter(([, key]) => this.chartManager.charts[key])
+            .map(([title, key]) => `
+                <figure>
+                    <img src="${this.chartManager.charts[key].toBase64Image()}" alt="${title}">
+                    <figcaption>${title}</figcaption>
+                </figure>`).join('');
+
+        document.getElementById('printReport').innerHTML = `
+            <h1>401K Contribution Report</h1>
+            <p class="print-report-meta">Generated ${new Date(report.generatedAt).toLocaleString()}; future amounts in ${report.dollarBasis}.</p>
+            ${report.sections.map(section => `
+                <h2>${this.escapeHtml(section.title)}</h2>
+                <table>
+                    <thead><tr><th>Item</th>${section.columns.map(column => `<th>${column}</th>`).join('')}</tr></thead>
+                    <tbody>
+                        ${section.rows.map(([item, ...values]) => `<tr><td>${this.escapeHtml(item)}</td>${values.map(value => `<td>${format(item, value)}</td>`).join('')}</tr>`).join('')}
+                    </tbody>
+                </table>`).join('')}
+            <h2>Charts</h2>
+            <div class="print-report-charts">${charts}</div>`;
+        window.print();
+    }
+
     updateResults(no401K, with401K, taxSavings, wealthDifference, roi401K, salaryFrequency, withdrawalTaxes, brokerageWithdrawalTaxes) {
         const inputs = this.getInputValues();
         const targetPerPay = parseFloat(document.getElementById('targetPerPay').value || '');
         const targetAnnualTakeHome = targetPerPay ? targetPerPay * SALARY_FREQUENCY[salaryFrequency] : null;
+        const futureDollars = amount => FinancialCalculator.formatCurrency(ScenarioRunner.toDisplayDollars(amount, inputs.years, inputs));
+
+        document.querySelectorAll('.dollar-basis-note').forEach(note => {
+            note.textContent = inputs.realDollars ? "(in today's dollars)" : '';
+        });
 
         // --- Without 401K Scenario ---
         document.getElementById('no401k_grossSalary').textContent = FinancialCalculator.formatCurrency(no401K.grossSalary);
-        document.getElementById('no401k_taxableIncome').textContent = FinancialCalculator.formatCurrency(no401K.grossSalary);
+        document.getElementById('no401k_adjustments').textContent = FinancialCalculator.formatCurrency(no401K.taxes.income.adjustments);
+        document.getElementById('no401k_agi').textContent = FinancialCalculator.formatCurrency(no401K.agi);
+        document.getElementById('no401k_deduction').textContent = FinancialCalculator.formatCurrency(no401K.deduction);
+        document.getElementById('no401k_taxableIncome').textContent = FinancialCalculator.formatCurrency(no401K.taxableIncome);
         document.getElementById('no401k_taxesPaid').textContent = FinancialCalculator.formatCurrency(no401K.taxes.total);
+        document.getElementById('no401k_incomeTaxes').textContent = FinancialCalculator.formatCurrency(no401K.taxes.incomeTaxTotal);
+        document.getElementById('no401k_payrollTaxes').textContent = FinancialCalculator.formatCurrency(no401K.taxes.payroll.total);
         document.getElementById('no401k_afterTaxIncome').textContent = FinancialCalculator.formatCurrency(no401K.afterTaxIncome);
         document.getElementById('no401k_livingExpenses').textContent = targetAnnualTakeHome ? FinancialCalculator.formatCurrency(targetAnnualTakeHome) : '-';
         document.getElementById('no401k_takeHomeAfterLiving').textContent = FinancialCalculator.formatCurrency(no401K.takeHomeAfterLiving);
         document.getElementById('no401k_rothIRAContribution').textContent = FinancialCalculator.formatCurrency(no401K.rothIRAContribution);
+        document.getElementById('no401k_hsaContribution').textContent = FinancialCalculator.formatCurrency(no401K.employeeHsaContribution);
         document.getElementById('no401k_takeHomeAfterRoth').textContent = FinancialCalculator.formatCurrency(no401K.takeHomeAfterRoth);
         document.getElementById('no401k_brokerageInvestment').textContent = FinancialCalculator.formatCurrency(no401K.additionalBrokerage);
-        document.getElementById('no401k_totalInvestment').textContent = FinancialCalculator.formatCurrency(no401K.brokerageInvestment + no401K.rothIRAContribution);
-        document.getElementById('futureValueBrokerage').textContent = FinancialCalculator.formatCurrency(no401K.futureValueBrokerage);
-        document.getElementById('no401k_totalFutureValue').textContent = FinancialCalculator.formatCurrency(no401K.futureValueBrokerage);
+        document.getElementById('no401k_totalInvestment').textContent = FinancialCalculator.formatCurrency(no401K.brokerageInvestment + no401K.rothIRAContribution + no401K.employeeHsaContribution);
+        document.getElementById('futureValueBrokerage').textContent = futureDollars(no401K.futureValueBrokerage);
+        document.getElementById('brokerageBasis').textContent = futureDollars(no401K.brokerageBasis);
+        document.getElementById('no401k_totalFutureValue').textContent = futureDollars(no401K.totalFutureValue);
         document.getElementById('years_display').textContent = inputs.years;
         
         // --- With 401K Scenario ---
         document.getElementById('with401k_grossSalary').textContent = FinancialCalculator.formatCurrency(with401K.grossSalary);
         document.getElementById('with401k_tradContribution').textContent = FinancialCalculator.formatCurrency(with401K.trad401kContribution);
+        document.getElementById('with401k_hsaContribution').textContent = FinancialCalculator.formatCurrency(with401K.employeeHsaContribution);
+        document.getElementById('with401k_adjustments').textContent = FinancialCalculator.formatCurrency(with401K.taxes.income.adjustments);
+        document.getElementById('with401k_agi').textContent = FinancialCalculator.formatCurrency(with401K.agi);
+        document.getElementById('with401k_deduction').textContent = FinancialCalculator.formatCurrency(with401K.deduction);
         document.getElementById('with401k_taxableIncome').textContent = FinancialCalculator.formatCurrency(with401K.taxableIncome);
+        document.getElementById('deductionLabel').textContent = with401K.taxes.income.deductionType === 'itemized' ? 'Itemized Deductions' : 'Standard Deduction';
         document.getElementById('with401k_taxesPaid').textContent = FinancialCalculator.formatCurrency(with401K.taxes.total);
+        document.getElementById('with401k_incomeTaxes').textContent = FinancialCalculator.formatCurrency(with401K.taxes.incomeTaxTotal);
+        document.getElementById('with401k_payrollTaxes').textContent = FinancialCalculator.formatCurrency(with401K.taxes.payroll.total);
         document.getElementById('with401k_afterTaxIncome').textContent = FinancialCalculator.formatCurrency(with401K.afterTaxIncome);
         document.getElementById('with401k_livingExpenses').textContent = targetAnnualTakeHome ? FinancialCalculator.formatCurrency(targetAnnualTakeHome) : '-';
         document.getElementById('with401k_takeHomeAfterLiving').textContent = FinancialCalculator.formatCurrency(with401K.takeHomeAfterLiving);
         document.getElementById('with401k_rothContribution').textContent = FinancialCalculator.formatCurrency(with401K.roth401kContribution);
+        document.getElementById('with401k_afterTax401kContribution').textContent = FinancialCalculator.formatCurrency(with401K.afterTax401kContribution);
         document.getElementById('with401k_rothIRAContribution').textContent = FinancialCalculator.formatCurrency(with401K.rothIRAContribution);
         document.getElementById('with401k_takeHomeAfterRoth').textContent = FinancialCalculator.formatCurrency(with401K.takeHomeAfterRoth);
         document.getElementById('with401k_brokerageInvestment').textContent = FinancialCalculator.formatCurrency(with401K.additionalBrokerage);
-        document.getElementById('with401k_totalInvestment').textContent = FinancialCalculator.formatCurrency(with401K.trad401kContribution + with401K.roth401kContribution + with401K.rothIRAContribution + with401K.additionalBrokerage);
+        document.getElementById('with401k_totalInvestment').textContent = FinancialCalculator.formatCurrency(with401K.trad401kContribution + with401K.employeeHsaContribution + with401K.roth401kContribution + with401K.afterTax401kContribution + with401K.rothIRAContribution + with401K.additionalBrokerage);
         
-        document.getElementById('futureValueTrad401k').textContent = FinancialCalculator.formatCurrency(with401K.futureValueTrad401k);
-        document.getElementById('futureValueRoth401k').textContent = FinancialCalculator.formatCurrency(with401K.futureValueRoth401k);
-        document.getElementById('futureValueRothIRA').textContent = FinancialCalculator.formatCurrency(with401K.futureValueRothIRA);
-        document.getElementById('futureValueBrokerageWith401k').textContent = FinancialCalculator.formatCurrency(with401K.futureValueAdditionalBrokerage);
-        document.getElementById('futureValue401k').textContent = FinancialCalculator.formatCurrency(with401K.totalFutureValue);
+        document.getElementById('futureValueTrad401k').textContent = futureDollars(with401K.futureValueTrad401k);
+        document.getElementById('futureValueRoth401k').textContent = futureDollars(with401K.futureValueRoth401k);
+        document.getElementById('futureValueAfterTax401k').textContent = futureDollars(with401K.futureValueAfterTax401k);
+        document.getElementById('futureValueEmployerMatch').textContent = futureDollars(with401K.futureValueEmployerMatch);
+        // Forfeitures happen when leaving, so each is deflated from its own year
+        const forfeitures = with401K.ledger.reduce((sum, entry, index) => sum + ScenarioRunner.toDisplayDollars(entry.forfeited, index + 1, inputs), 0);
+        document.getElementById('employerForfeitures').textContent = FinancialCalculator.formatCurrency(forfeitures);
+        document.getElementById('futureValueRothIRA').textContent = futureDollars(with401K.futureValueRothIRA);
+        document.getElementById('futureValueHsa').textContent = futureDollars(no401K.futureValueHsa);
+        document.getElementById('futureValueHsaWith401k').textContent = futureDollars(with401K.futureValueHsa);
+        document.getElementById('futureValueBrokerageWith401k').textContent = futureDollars(with401K.futureValueAdditionalBrokerage);
+        document.getElementById('brokerageBasisWith401k').textContent = futureDollars(with401K.brokerageBasis);
+        document.getElementById('futureValue401k').textContent = futureDollars(with401K.totalFutureValue);
 
         // Benefits
         document.getElementById('taxSavings').textContent = FinancialCalculator.formatCurrency(taxSavings);
-        document.getElementById('wealthDifference').textContent = FinancialCalculator.formatCurrency(wealthDifference);
+        document.getElementById('wealthDifference').textContent = futureDollars(wealthDifference);
         document.getElementById('roi401k').textContent = FinancialCalculator.formatPercent(roi401K);
 
         // Get withdrawal type to determine which values to display
@@ -735,12 +1284,14 @@ class App {
             document.getElementById('lumpSumTotal').textContent = FinancialCalculator.formatCurrency(withdrawalTaxes.annual.withdrawal);
             document.getElementById('lumpSumIncomeTaxes').textContent = FinancialCalculator.formatCurrency(withdrawalTaxes.annual.incomeTaxes);
             document.getElementById('lumpSumCapitalGainsTaxes').textContent = FinancialCalculator.formatCurrency(withdrawalTaxes.annual.capitalGainsTaxes);
+            document.getElementById('lumpSumPenalties').textContent = FinancialCalculator.formatCurrency(withdrawalTaxes.annual.penalties);
             document.getElementById('lumpSumTaxes').textContent = FinancialCalculator.formatCurrency(withdrawalTaxes.annual.taxes);
             document.getElementById('lumpSumNet').textContent = FinancialCalculator.formatCurrency(withdrawalTaxes.annual.net);
         } else {
             document.getElementById('lumpSumTotal').textContent = FinancialCalculator.formatCurrency(withdrawalTaxes.lumpSum.total);
             document.getElementById('lumpSumIncomeTaxes').textContent = FinancialCalculator.formatCurrency(withdrawalTaxes.lumpSum.incomeTaxes);
             document.getElementById('lumpSumCapitalGainsTaxes').textContent = FinancialCalculator.formatCurrency(withdrawalTaxes.lumpSum.capitalGainsTaxes);
+            document.getElementById('lumpSumPenalties').textContent = FinancialCalculator.formatCurrency(withdrawalTaxes.lumpSum.penalties);
             document.getElementById('lumpSumTaxes').textContent = FinancialCalculator.formatCurrency(withdrawalTaxes.lumpSum.taxes);
             document.getElementById('lumpSumNet').textContent = FinancialCalculator.formatCurrency(withdrawalTaxes.lumpSum.net);
         }
@@ -748,21 +1299,225 @@ class App {
         // Brokerage withdrawal taxes - display based on selected type
         if (withdrawalType === 'distributed') {
             document.getElementById('brokerageLumpSumTotal').textContent = FinancialCalculator.formatCurrency(brokerageWithdrawalTaxes.annual.withdrawal);
-            document.getElementById('brokerageLumpSumTaxes').textContent = FinancialCalculator.formatCurrency(brokerageWithdrawalTaxes.annual.taxes);
+            document.getElementById('brokerageLumpSumIncomeTaxes').textContent = FinancialCalculator.formatCurrency(brokerageWithdrawalTaxes.annual.incomeTaxes);
+            document.getElementById('brokerageLumpSumTaxes').textContent = FinancialCalculator.formatCurrency(brokerageWithdrawalTaxes.annual.capitalGainsTaxes);
+            document.getElementById('brokerageLumpSumPenalties').textContent = FinancialCalculator.formatCurrency(brokerageWithdrawalTaxes.annual.penalties);
             document.getElementById('brokerageLumpSumTaxes_total').textContent = FinancialCalculator.formatCurrency(brokerageWithdrawalTaxes.annual.taxes);
             document.getElementById('brokerageLumpSumNet').textContent = FinancialCalculator.formatCurrency(brokerageWithdrawalTaxes.annual.net);
         } else {
             document.getElementById('brokerageLumpSumTotal').textContent = FinancialCalculator.formatCurrency(brokerageWithdrawalTaxes.lumpSum.total);
-            document.getElementById('brokerageLumpSumTaxes').textContent = FinancialCalculator.formatCurrency(brokerageWithdrawalTaxes.lumpSum.taxes);
+            document.getElementById('brokerageLumpSumIncomeTaxes').textContent = FinancialCalculator.formatCurrency(brokerageWithdrawalTaxes.lumpSum.incomeTaxes);
+            document.getElementById('brokerageLumpSumTaxes').textContent = FinancialCalculator.formatCurrency(brokerageWithdrawalTaxes.lumpSum.capitalGainsTaxes);
+            document.getElementById('brokerageLumpSumPenalties').textContent = FinancialCalculator.formatCurrency(brokerageWithdrawalTaxes.lumpSum.penalties);
             document.getElementById('brokerageLumpSumTaxes_total').textContent = FinancialCalculator.formatCurrency(brokerageWithdrawalTaxes.lumpSum.taxes);
             document.getElementById('brokerageLumpSumNet').textContent = FinancialCalculator.formatCurrency(brokerageWithdrawalTaxes.lumpSum.net);
         }
 
     }
 
-    updateContributionLimitViz(grossSalary, contributionPercent) {
+    updateLedgerTable(rows) {
+        this.ledgerRows = rows;
+        this.renderLedgerRows();
+    }
+    // Withdrawal orderings and the Roth conversion plan, as computed by the engine
+    updateDrawdown(inputs, drawdown) {
+        const { strategies, best, selected, conversionEndAge, conversionPlan: plan } = drawdown;
+
+        // Each retirement year is deflated from its own distance to today
+        const currency = (amount, yearsIntoRetirement) => FinancialCalculator.formatCurrency(ScenarioRunner.toDisplayDollars(amount, inputs.years + yearsIntoRetirement, inputs));
+        const lifetimeTaxes = result => result.rows.reduce((sum, row, index) => sum + ScenarioRunner.toDisplayDollars(row.taxes, inputs.years + index, inputs), 0);
+
+        document.getElementById('drawdownStrategyBody').innerHTML = strategies.map(result => `
+            <tr class="${result === best ? 'best-strategy' : ''}">
+                <td>${result.name}</td>
+                <td>${FinancialCalculator.formatCurrency(lifetimeTaxes(result))}</td>
+                <td>${currency(result.endingBalance, inputs.retirementYears)}</td>
+                <td>${result.depletedAge === null ? `Past age ${inputs.retirementAge + inputs.retirementYears}` : `Runs out at ${result.depletedAge}`}</td>
+            </tr>`).join('');
+
+        document.getElementById('drawdownBody').innerHTML = selected.rows.map((row, index) => `
+            <tr>
+                <td>${row.year}</td>
+                <td>${row.age}</td>
+                <td>${currency(row.spending, index)}</td>
+                <td>${currency(row.socialSecurity, index)}</td>
+                <td>${currency(row.rmd, index)}</td>
+                <td>${currency(row.withdrawals.traditional, index)}</td>
+                <td>${currency(row.withdrawals.taxable, index)}</td>
+                <td>${currency(row.withdrawals.roth, index)}</td>
+                <td>${currency(row.hsaWithdrawal, index)}</td>
+                <td>${currency(row.taxes, index)}</td>
+                <td>${currency(row.totalBalance, index + 1)}</td>
+            </tr>`).join('');
+
+        const bracketLabel = `Convert to top of ${Math.round(inputs.conversionBracket * 100)}%`;
+        const endDollars = amount => currency(amount, inputs.retirementYears);
+        document.getElementById('conversionComparisonBody').innerHTML = [['No conversions', plan.baseline], [bracketLabel, plan.converted]].map(([label, result]) => `
+            <tr class="${result.heirValue === Math.max(plan.baseline.heirValue, plan.converted.heirValue) ? 'best-strategy' : ''}">
+                <td>${label}</td>
+                <td>${FinancialCalculator.formatCurrency(lifetimeTaxes(result))}</td>
+                <td>${endDollars(result.endingBalances.traditional)}</td>
+                <td>${endDollars(result.endingBalances.roth)}</td>
+                <td>${endDollars(result.endingBalances.taxable)}</td>
+                <td>${endDollars(result.heirValue)}</td>
+            </tr>`).join('');
+
+        document.getElementById('conversionSummary').textContent = plan.schedule.length
+            ? `${plan.schedule.length} years of conversions (ages ${plan.schedule[0].age}-${plan.schedule[plan.schedule.length - 1].age}) ${plan.lifetimeTaxSavings >= 0 ? 'save' : 'cost'} ${FinancialCalculator.formatCurrency(Math.abs(lifetimeTaxes(plan.baseline) - lifetimeTaxes(plan.converted)))} in lifetime taxes and ${plan.heirValueGain >= 0 ? 'add' : 'subtract'} ${endDollars(Math.abs(plan.heirValueGain))} for heirs, using the ${selected.name.toLowerCase()} withdrawal order.`
+            : (inputs.retirementAge >= conversionEndAge
+                ? `No gap years: retirement at ${inputs.retirementAge} isn't before the conversion cutoff at age ${conversionEndAge}.`
+                : 'Withdrawals already fill the chosen bracket, so there is no room to convert.');
+        document.getElementById('conversionScheduleBody').innerHTML = plan.schedule.map(entry => {
+            const index = entry.age - inputs.retirementAge;
+            return `
+            <tr>
+                <td>${entry.year}</td>
+                <td>${entry.age}</td>
+                <td>${currency(entry.amount, index)}</td>
+                <td>${currency(entry.taxes, index)}</td>
+            </tr>`;
+        }).join('');
+    }
+
+    updateReturnModelOptions() {
+        const returnModel = document.getElementById('returnModel').value;
+        document.getElementById('monteCarloGroup').style.display = returnModel === 'monteCarlo' ? 'block' : 'none';
+        document.getElementById('historicalGroup').style.display = returnModel === 'historical' ? 'flex' : 'none';
+    }
+
+    // Monte Carlo or backtest outcomes; the section is hidden with the fixed-return model
+    updateSimulation(inputs, simulation, withdrawalYears) {
+        const section = document.getElementById('simulationSection');
+        if (!simulation) {
+            section.style.display = 'none';
+            return;
+        }
+
+        const { historical: isHistorical, annualWithdrawal, results, backtest } = simulation;
+        document.getElementById('simulationTitle').textContent = isHistorical ? 'Historical Backtest' : 'Monte Carlo Outcomes';
+        document.getElementById('backtestDetails').style.display = isHistorical ? 'grid' : 'none';
+        document.getElementById('backtestChartContainer').style.display = isHistorical ? 'flex' : 'none';
+        section.style.display = 'block';
+
+        const message = document.getElementById('backtestMessage');
+        if (!results) {
+            const firstYear = HISTORICAL_RETURNS[0].year;
+            const lastYear = HISTORICAL_RETURNS[HISTORICAL_RETURNS.length - 1].year;
+            message.textContent = `${inputs.years} working years plus ${withdrawalYears} withdrawal years don't fit in the ${firstYear}-${lastYear} return history.`;
+            message.style.display = 'block';
+            document.getElementById('simulationResults').style.display = 'none';
+            return;
+        }
+        message.style.display = 'none';
+        document.getElementById('simulationResults').style.display = 'block';
+
+        const retirementDollars = amount => FinancialCalculator.formatCurrency(ScenarioRunner.toDisplayDollars(amount, inputs.years, inputs));
+        const endingDollars = amount => FinancialCalculator.formatCurrency(ScenarioRunner.toDisplayDollars(amount, inputs.years + withdrawalYears, inputs));
+        document.getElementById('simRetirementP10').textContent = retirementDollars(results.retirementBalance.p10);
+        document.getElementById('simRetirementP50').textContent = retirementDollars(results.retirementBalance.p50);
+        document.getElementById('simRetirementP90').textContent = retirementDollars(results.retirementBalance.p90);
+        document.getElementById('simAnnualWithdrawal').textContent = retirementDollars(annualWithdrawal);
+        document.getElementById('simDepletionProbability').textContent = FinancialCalculator.formatPercent(results.depletionProbability);
+        document.getElementById('simEndingP50').textContent = endingDollars(results.endingBalance.p50);
+
+        const startYear = inputs.taxProfile.taxYear;
+        this.chartManager.createFanChart({
+            labels: results.bands.map((band, index) => startYear + index),
+            bands: results.bands.map((band, index) => Object.fromEntries(
+                Object.entries(band).map(([percent, amount]) => [percent, ScenarioRunner.toDisplayDollars(amount, index + 1, inputs)])
+            )),
+            retirementIndex: inputs.years - 1
+        });
+
+        if (backtest) {
+            const describe = replay => `${replay.startYear} (${retirementDollars(replay.with401k.retirementBalance)})`;
+            document.getElementById('backtestWorst').textContent = describe(backtest.worst);
+            document.getElementById('backtestMedian').textContent = describe(backtest.median);
+            document.getElementById('backtestBest').textContent = describe(backtest.best);
+            document.getElementById('backtestWinRate').textContent = `${FinancialCalculator.formatPercent(backtest.winRate)} of ${backtest.windows.length} windows`;
+            document.getElementById('backtestAdvantageMin').textContent = retirementDollars(backtest.advantage.min);
+            document.getElementById('backtestAdvantageMedian').textContent = retirementDollars(backtest.advantage.p50);
+
+            this.chartManager.createBacktestChart({
+                labels: backtest.windows.map(replay => replay.startYear),
+                with401k: backtest.windows.map(replay => ScenarioRunner.toDisplayDollars(replay.with401k.retirementBalance, inputs.years, inputs)),
+                no401k: backtest.windows.map(replay => ScenarioRunner.toDisplayDollars(replay.no401k.retirementBalance, inputs.years, inputs))
+            });
+        }
+    }
+
+    renderLedgerRows() {
+        const { key, direction } = this.ledgerSort;
+        const sign = direction === 'asc' ? 1 : -1;
+        const rows = [...this.ledgerRows].sort((a, b) => (a[key] - b[key]) * sign);
+
+        document.querySelectorAll('#ledgerTable th[data-sort-key]').forEach(header => {
+            header.classList.toggle('sorted-asc', header.dataset.sortKey === key && direction === 'asc');
+            header.classList.toggle('sorted-desc', header.dataset.sortKey === key && direction === 'desc');
+        });
+
+        const currency = FinancialCalculator.formatCurrency;
+        document.getElementById('ledgerBody').innerHTML = rows.map(row => `
+            <tr>
+                <td>${row.year}</td>
+                <td>${row.age ?? '-'}</td>
+                <td>${currency(row.salary)}</td>
+                <td>${FinancialCalculator.formatPercent(row.contributionPercent)}</td>
+                <td>${currency(row.trad401k)}</td>
+                <td>${currency(row.roth401k)}</td>
+                <td>${currency(row.afterTax)}</td>
+                <td>${currency(row.employer)}</td>
+                <td>${FinancialCalculator.formatPercent(row.vestedPercent)}</td>
+                <td>${currency(row.rothIRA)}</td>
+                <td>${currency(row.hsa)}</td>
+                <td>${currency(row.brokerage)}</td>
+                <td>${currency(row.taxes)}</td>
+                <td>${currency(row.balance)}</td>
+                <td>${currency(row.no401kBalance)}</td>
+            </tr>`).join('');
+    }
+
+    updateLimitHelpText(taxProfile) {
+        const limits = TaxCalculator.getLimits(taxProfile);
+        document.getElementById('rothIRALimitText').textContent = `Annual contribution. Max is ${FinancialCalculator.formatCurrency(limits.ira)} for ${taxProfile.taxYear}.`;
+        document.getElementById('hsaLimitText').textContent = `Yours plus your employer's. Max is ${FinancialCalculator.formatCurrency(limits.hsaSelf)} self-only or ${FinancialCalculator.formatCurrency(limits.hsaFamily)} family for ${taxProfile.taxYear}.`;
+    }
+
+    // After-tax room is what the total additions limit leaves after employee and employer dollars
+    updateAfterTaxHelpText(inputs, with401K) {
+        const limits = TaxCalculator.getLimits(inputs.taxProfile);
+        const room = Math.max(limits.total401k - with401K.trad401kContribution - with401K.roth401kContribution - with401K.employerContribution, 0);
+        document.getElementById('afterTax401kLimitText').textContent = inputs.afterTax401k > room
+            ? `Capped at ${FinancialCalculator.formatCurrency(room)} this year by the ${FinancialCalculator.formatCurrency(limits.total401k)} total limit.`
+            : `Up to ${FinancialCalculator.formatCurrency(room)} fits under the ${FinancialCalculator.formatCurrency(limits.total401k)} total limit this year.`;
+    }
+
+    // Warns when income phases out the direct contribution, or when a backdoor conversion is partly taxable
+    updateRothIRAWarning(inputs, with401K, no401K) {
+        const warning = document.getElementById('rothIRAWarning');
+        const { start, end } = TaxCalculator.getRothIraPhaseOut(inputs.taxProfile);
+        const range = `${FinancialCalculator.formatCurrency(start)}–${FinancialCalculator.formatCurrency(end)}`;
+        const messages = [];
+
+        [['Without', no401K], ['With', with401K]].forEach(([label, scenario]) => {
+            if (!scenario.rothIRABackdoor && scenario.rothIRARequested > scenario.rothIRAAllowed) {
+                messages.push(`${label} the 401K, MAGI of ${FinancialCalculator.formatCurrency(scenario.agi)} is over the ${range} phase-out, so only ${FinancialCalculator.formatCurrency(scenario.rothIRAAllowed)} can go in directly. Consider a backdoor Roth.`);
+            }
+        });
+        if (with401K.rothIRABackdoor && with401K.backdoorTaxableConversion > 0) {
+            messages.push(`Pro-rata rule: with a pre-tax traditional IRA balance, ${FinancialCalculator.formatCurrency(with401K.backdoorTaxableConversion)} of each conversion is taxable. Rolling that balance into your 401K first avoids this.`);
+        }
+
+        warning.textContent = messages.join(' ');
+        warning.hidden = messages.length === 0;
+    }
+
+    updateContributionLimitViz(grossSalary, contributionPercent, taxProfile = {}) {
+        const limits = TaxCalculator.getLimits(taxProfile);
+        const employeeLimit = limits.employee401k;
         const viz = document.getElementById('contributionLimitViz');
         const fill = document.getElementById('limitFill');
+        const catchUpFill = document.getElementById('limitCatchUpFill');
         const text = document.getElementById('limitText');
         
         if (grossSalary <= 0) {
@@ -771,26 +1526,31 @@ class App {
         }
         
         const requestedContribution = grossSalary * (contributionPercent / 100);
-        const isCapped = requestedContribution > EMPLOYEE_401K_LIMIT;
-        const actualContribution = Math.min(requestedContribution, EMPLOYEE_401K_LIMIT);
+        const isCapped = requestedContribution > employeeLimit;
+        const actualContribution = Math.min(requestedContribution, employeeLimit);
         
         // Show visualization
         viz.style.display = 'block';
         
-        // Calculate percentage of limit used
-        const limitPercentage = (actualContribution / EMPLOYEE_401K_LIMIT) * 100;
+        // The base limit fills first; anything above it is catch-up room
+        const basePortion = Math.min(actualContribution, limits.base401k);
+        const catchUpPortion = Math.max(0, actualContribution - limits.base401k);
         
         // Update visual bar
-        fill.style.width = `${Math.min(limitPercentage, 100)}%`;
+        fill.style.width = `${(basePortion / employeeLimit) * 100}%`;
+        catchUpFill.style.width = `${(catchUpPortion / employeeLimit) * 100}%`;
         
+        const catchUpNote = limits.catchUp401k > 0 ? ` (incl. $${limits.catchUp401k.toLocaleString()} catch-up)` : '';
         if (isCapped) {
             fill.classList.add('capped');
-            text.textContent = `Capped at $${EMPLOYEE_401K_LIMIT.toLocaleString()}`;
+            catchUpFill.classList.add('capped');
+            text.textContent = `Capped at $${employeeLimit.toLocaleString()}${catchUpNote}`;
             text.classList.add('small');
         } else {
             fill.classList.remove('capped');
-            text.textContent = `$${actualContribution.toLocaleString()} of $${EMPLOYEE_401K_LIMIT.toLocaleString()}`;
-            text.classList.remove('small');
+            catchUpFill.classList.remove('capped');
+            text.textContent = `$${actualContribution.toLocaleString()} of $${employeeLimit.toLocaleString()}${catchUpNote}`;
+            text.classList.toggle('small', catchUpNote !== '');
         }
     }
 
@@ -802,115 +1562,202 @@ class App {
 
         if (!targetPerPay || targetPerPay <= 0) {
             messageEl.textContent = 'Enter a valid per-paycheck amount.';
-            return;
+            return Promise.resolve();
         }
 
         const targetAnnualTakeHome = targetPerPay * SALARY_FREQUENCY[inputs.salaryFrequency];
-        
-        // Find the maximum contribution % that still meets the target
-        const maxContributionPercent = FinancialCalculator.findMaxContributionForTarget(
-            inputs.grossSalary, 
-            targetAnnualTakeHome, 
-            inputs.employerMatch,
-            inputs.rothIRA,
-            inputs.investmentReturn,
-            inputs.years
-        );
-
-        // Check if target is achievable
-        const scenarioAt0 = FinancialCalculator.calculate401KScenario(
-            inputs.grossSalary, 0, inputs.employerMatch, inputs.investmentReturn, inputs.years, targetAnnualTakeHome, 'traditional', inputs.roth401kMax, inputs.rothIRA
-        );
-        
-        if (targetPerPay >= FinancialCalculator.getPeriodTakeHome(scenarioAt0.discretionaryIncome, inputs.salaryFrequency) - 1) {
-            document.getElementById('contributionPercent').value = 0;
+        this.flushScheduledCalculation();
+        const state = this.captureScenarioState();
+        messageEl.textContent = 'Solving...';
+        return this.engine.run('takeHome', { type: 'solveTakeHome', inputs, target: targetAnnualTakeHome }).then(result => {
+            if (!result) {
+                return;
+            }
+            if (this.formChangedSince(state)) {
+                messageEl.textContent = 'Inputs changed; solve again.';
+                return;
+            }
+            const { contributionPercent, takeHomeAtZero } = result;
+
+            // Check if target is achievable
+            if (targetPerPay >= FinancialCalculator.getPeriodTakeHome(takeHomeAtZero, inputs.salaryFrequency) - 1) {
+                document.getElementById('contributionPercent').value = 0;
+                this.calculate();
+                messageEl.textContent = 'Target exceeds 0% contribution take-home; set to 0%.';
+                return;
+            }
+
+            if (contributionPercent <= 0.1) {
+                document.getElementById('contributionPercent').value = 0;
+                this.calculate();
+                messageEl.textContent = 'Target requires 0% contribution to meet take-home goal.';
+                return;
+            }
+
+            // Set to the maximum contribution that still meets target
+            document.getElementById('contributionPercent').value = contributionPercent;
             this.calculate();
-            messageEl.textContent = 'Target exceeds 0% contribution take-home; set to 0%.';
-            return;
+            messageEl.textContent = `Max contribution ${contributionPercent}% while meeting target.`;
+        }).catch(error => {
+            messageEl.textContent = `The solver failed: ${error.message}`;
+        });
+    }
+
+    // Writes back the contribution % or retirement age that reaches a balance or income goal
+    solveGoal() {
+        const messageEl = document.getElementById('goalMessage');
+        const goal = document.getElementById('goalType').value;
+        const target = parseFloat(document.getElementById('goalAmount').value || '');
+        const solveFor = document.getElementById('goalSolveFor').value;
+        const inputs = this.getInputValues();
+        const currency = FinancialCalculator.formatCurrency;
+
+        if (!target || target <= 0) {
+            messageEl.textContent = 'Enter a valid goal amount.';
+            return Promise.resolve();
+        }
+        if (inputs.grossSalary <= 0) {
+            messageEl.textContent = 'Enter your salary first.';
+            return Promise.resolve();
         }
 
-        if (maxContributionPercent <= 0.1) {
-            document.getElementById('contributionPercent').value = 0;
+        this.flushScheduledCalculation();
+        const state = this.captureScenarioState();
+        messageEl.textContent = 'Solving...';
+        return this.engine.run('solver', { type: 'solveGoal', inputs, goal, target, solveFor }).then(result => {
+            if (!result) {
+                return;
+            }
+            if (this.formChangedSince(state)) {
+                messageEl.textContent = 'Inputs changed; solve again.';
+                return;
+            }
+            if (!result.reached) {
+                if (solveFor === 'retirementAge') {
+                    messageEl.textContent = `Not reached by age ${result.retirementAge} (${currency(result.value)}); retirement age left unchanged.`;
+                } else if (goal === 'income') {
+                    messageEl.textContent = `No contribution reaches that; income peaks at ${currency(result.value)} with ${result.contributionPercent}%. Contribution left unchanged.`;
+                } else {
+                    messageEl.textContent = `Even ${result.contributionPercent}% (the employee limit) only reaches ${currency(result.value)}; contribution left unchanged.`;
+                }
+                return;
+            }
+
+            const field = solveFor === 'retirementAge' ? 'retirementAge' : 'contributionPercent';
+            document.getElementById(field).value = result[field];
             this.calculate();
-            messageEl.textContent = 'Target requires 0% contribution to meet take-home goal.';
-            return;
-        }
 
-        // Set to the maximum contribution that still meets target
-        document.getElementById('contributionPercent').value = maxContributionPercent;
-        this.calculate();
-        messageEl.textContent = `Max contribution ${maxContributionPercent}% while meeting target.`;
+            const goalText = goal === 'income'
+                ? `${currency(target)} a year of after-tax income`
+                : `${currency(target)} at retirement`;
+            const solved = solveFor === 'retirementAge'
+                ? `Retire at ${result.retirementAge}`
+                : `Contribute ${result.contributionPercent}% to the traditional 401K`;
+            const belowTarget = inputs.targetAnnualTakeHome && result.scenario.discretionaryIncome < inputs.targetAnnualTakeHome - 1;
+            messageEl.textContent = `${solved} to reach ${goalText} in today's dollars (projected ${currency(result.value)}).`
+                + (belowTarget ? ' This leaves less than your target take-home pay.' : '');
+        }).catch(error => {
+            messageEl.textContent = `The goal solver failed: ${error.message}`;
+        });
     }
 
     findBestStrategy() {
         const optimizerMessage = document.getElementById('optimizerMessage');
-        optimizerMessage.textContent = 'Analyzing strategies...';
-
-        setTimeout(() => {
-            const inputs = this.getInputValues();
-            const targetPerPay = parseFloat(document.getElementById('targetPerPay').value || '');
-            const targetAnnualTakeHome = targetPerPay ? targetPerPay * SALARY_FREQUENCY[inputs.salaryFrequency] : null;
-            const optimizerExplanation = document.getElementById('optimizerExplanation');
-            optimizerExplanation.textContent = '';
-
+        const inputs = this.getInputValues();
+        const objective = document.getElementById('optimizerObjective').value;
+        document.getElementById('optimizerResults').style.display = 'none';
+
+        if (!inputs.targetAnnualTakeHome) {
+            this.engine.cancel('optimizer');
+            this.hideProgress('optimizerProgress');
+            optimizerMessage.textContent = 'Please set a Target Take-home to find the best strategy.';
+            return Promise.resolve();
+        }
 
-            if (!targetAnnualTakeHome) {
-                optimizerMessage.textContent = 'Please set a Target Take-home to find the best strategy.';
+        this.flushScheduledCalculation();
+        optimizerMessage.textContent = '';
+        this.showProgress('optimizerProgress', 0, 'Analyzing strategies');
+        return this.engine.run('optimizer', { type: 'optimize', inputs, objective }, (done, total) => {
+            this.showProgress('optimizerProgress', done / total, 'Analyzing strategies');
+        }).then(result => {
+            if (!result) {
                 return;
             }
-
-            const maxTotalContributionPercent = FinancialCalculator.findMaxContributionForTarget(inputs.grossSalary, targetAnnualTakeHome, inputs.employerMatch, inputs.rothIRA, inputs.investmentReturn, inputs.years);
-            const totalContributionAmount = Math.min(inputs.grossSalary * (maxTotalContributionPercent / 100), EMPLOYEE_401K_LIMIT);
-
-            // --- Simulate multiple scenarios to find the best and generate explanations ---
-            const scenarios = {};
-            
-            // Pure Traditional
-            const tradScenario = FinancialCalculator.calculate401KScenario(inputs.grossSalary, maxTotalContributionPercent, inputs.employerMatch, inputs.investmentReturn, inputs.years, targetAnnualTakeHome, '', 0, inputs.rothIRA);
-            const tradWithdrawal = FinancialCalculator.calculateCombinedWithdrawalTaxes(tradScenario.futureValueTrad401k, tradScenario.futureValueRoth401k, tradScenario.futureValueEmployerMatch, tradScenario.futureValueRothIRA, tradScenario.futureValueAdditionalBrokerage, inputs.retirementIncome, inputs.investmentReturn, inputs.retirementYears);
-            scenarios.traditional = { rothAmount: 0, netWorth: tradWithdrawal.lumpSum.net };
-
-            // Pure Roth
-            const maxRothAmount = Math.min(totalContributionAmount, inputs.roth401kMax);
-            const rothScenario = FinancialCalculator.calculate401KScenario(inputs.grossSalary, maxTotalContributionPercent, inputs.employerMatch, inputs.investmentReturn, inputs.years, targetAnnualTakeHome, '', maxRothAmount, inputs.rothIRA);
-            const rothWithdrawal = FinancialCalculator.calculateCombinedWithdrawalTaxes(rothScenario.futureValueTrad401k, rothScenario.futureValueRoth401k, rothScenario.futureValueEmployerMatch, rothScenario.futureValueRothIRA, rothScenario.futureValueAdditionalBrokerage, inputs.retirementIncome, inputs.investmentReturn, inputs.retirementYears);
-            scenarios.roth = { rothAmount: maxRothAmount, netWorth: rothWithdrawal.lumpSum.net };
-
-            let bestMix = {
-                roth401kAmount: 0,
-                netWorth: scenarios.traditional.netWorth,
-                contributionPercent: maxTotalContributionPercent
-            };
-
-            // --- Iterate through other possible Roth 401K allocations ---
-            for (let rothAmount = 500; rothAmount <= maxRothAmount; rothAmount += 500) {
-                 const scenario = FinancialCalculator.calculate401KScenario(inputs.grossSalary, maxTotalContributionPercent, inputs.employerMatch, inputs.investmentReturn, inputs.years, targetAnnualTakeHome, '', rothAmount, inputs.rothIRA);
-                 const withdrawal = FinancialCalculator.calculateCombinedWithdrawalTaxes(scenario.futureValueTrad401k, scenario.futureValueRoth401k, scenario.futureValueEmployerMatch, scenario.futureValueRothIRA, scenario.futureValueAdditionalBrokerage, inputs.retirementIncome, inputs.investmentReturn, inputs.retirementYears);
-                
-                if (withdrawal.lumpSum.net > bestMix.netWorth) {
-                    bestMix = {
-                        roth401kAmount: rothAmount,
-                        netWorth: withdrawal.lumpSum.net,
-                        contributionPercent: maxTotalContributionPercent
-                    };
-                }
-            }
-            
-            // --- Set the optimal strategy and generate explanation ---
-            document.getElementById('contributionPercent').value = bestMix.contributionPercent;
-            document.getElementById('roth401kMax').value = bestMix.roth401kAmount;
-            optimizerMessage.textContent = `Optimal Mix: ${bestMix.contributionPercent}% Total 401K, with ${FinancialCalculator.formatCurrency(bestMix.roth401kAmount)} to Roth 401K.`;
-            
-            const advantage = bestMix.netWorth - Math.max(scenarios.traditional.netWorth, scenarios.roth.netWorth);
-            if (advantage > 100) {
-                 optimizerExplanation.textContent = `This blended approach is projected to result in a final after-tax net worth of ${FinancialCalculator.formatCurrency(bestMix.netWorth)}, which is ${FinancialCalculator.formatCurrency(advantage)} more than the next best alternative.`;
-            } else {
-                optimizerExplanation.textContent = `This strategy is projected to result in a final after-tax net worth of ${FinancialCalculator.formatCurrency(bestMix.netWorth)}. The decision between Traditional and Roth is very close in your scenario.`;
+            this.hideProgress('optimizerProgress');
+            if (!result.strategies.length) {
+                optimizerMessage.textContent = 'No allocation meets your take-home target; lower the target or the after-tax and HSA contributions.';
+                return;
             }
 
+            const [best] = result.strategies;
+            const { label } = OPTIMIZER_OBJECTIVES[objective];
+            optimizerMessage.textContent = `Best of ${result.evaluated} allocations by ${label.toLowerCase()}: ${best.contributionPercent}% traditional 401K, ${FinancialCalculator.formatCurrency(best.allocation.roth401k)} Roth 401K and ${FinancialCalculator.formatCurrency(best.allocation.rothIRA)} Roth IRA.`;
+            this.renderOptimizerResults(result);
+        }).catch(error => {
+            this.hideProgress('optimizerProgress');
+            optimizerMessage.textContent = `The optimizer failed: ${error.message}`;
+        });
+    }
 
-            this.calculate();
-        }, 100); 
+    // Metric and allocation differences of `strategy` from `reference`, in words
+    describeTradeOffs(strategy, reference) {
+        const change = (amount, more, less) => `${FinancialCalculator.formatCurrency(Math.abs(amount))} ${amount >= 0 ? more : less}`;
+        const parts = [
+            change(strategy.metrics.terminalWealth - reference.metrics.terminalWealth, 'more', 'less') + ' after-tax wealth',
+            change(strategy.metrics.lifetimeTaxes - reference.metrics.lifetimeTaxes, 'more', 'less') + ' in lifetime taxes',
+            change(strategy.metrics.retirementIncome - reference.metrics.retirementIncome, 'more', 'less') + ' a year in retirement'
+        ];
+
+        // Where this year's savings move between tax treatments
+        const preTax = strategy.allocation.trad401k - reference.allocation.trad401k;
+        const roth = strategy.allocation.roth401k + strategy.allocation.rothIRA - reference.allocation.roth401k - reference.allocation.rothIRA;
+        const taxable = strategy.allocation.brokerage - reference.allocation.brokerage;
+        const shifts = [[preTax, 'pre-tax'], [roth, 'Roth'], [taxable, 'brokerage']]
+            .filter(([amount]) => Math.abs(amount) >= 1)
+            .map(([amount, bucket]) => `${change(amount, 'more', 'less')} ${bucket}`);
+        if (shifts.length) {
+            parts.push(`saving ${shifts.join(', ')} this year`);
+        }
+        if (!reference.feasible) {
+            parts.push('and it meets the take-home target your current mix misses');
+        }
+        return parts.join(', ');
+    }
+
+    renderOptimizerResults(result) {
+        const currency = FinancialCalculator.formatCurrency;
+        const row = (name, strategy, className, action) => `
+            <tr class="${className}">
+                <td>${name}</td>
+                <td>${currency(strategy.allocation.trad401k)} (${strategy.contributionPercent}%)</td>
+                <td>${currency(strategy.allocation.roth401k)}</td>
+                <td>${currency(strategy.allocation.rothIRA)}</td>
+                <td>${currency(strategy.allocation.brokerage)}</td>
+                <td>${currency(strategy.metrics.terminalWealth)}</td>
+                <td>${currency(strategy.metrics.lifetimeTaxes)}</td>
+                <td>${currency(strategy.metrics.retirementIncome)}</td>
+                <td>${action}</td>
+            </tr>`;
+
+        // Each strategy is explained against the current mix (the first) or the best one (the rest)
+        const [best] = result.strategies;
+        document.getElementById('optimizerBody').innerHTML = [
+            row('Current mix', result.current, 'optimizer-current', ''),
+            ...result.strategies.map((strategy, index) => `
+                ${row(`#${index + 1}`, strategy, index === 0 ? 'best-strategy' : '', `<button type="button" class="scenario-btn apply-strategy-btn" data-index="${index}">Apply</button>`)}
+                <tr class="optimizer-tradeoff">
+                    <td colspan="9">${index === 0 ? 'Versus your current mix' : 'Versus #1'}: ${this.describeTradeOffs(strategy, index === 0 ? result.current : best)}.</td>
+                </tr>`)
+        ].join('');
+        document.getElementById('optimizerResults').style.display = 'block';
+        this.optimizerStrategies = result.strategies;
+    }
+
+    applyStrategy(strategy) {
+        document.getElementById('contributionPercent').value = strategy.contributionPercent;
+        document.getElementById('roth401kMax').value = strategy.roth401kAmount;
+        document.getElementById('rothIRAContribution').value = strategy.rothIRAAmount;
+        this.calculate();
     }
 
     updateTargetInfoSection(inputs, targetAnnualTakeHome, with401K, no401K) {
@@ -939,38 +1786,15 @@ class App {
         };
         document.getElementById('salaryFrequencyDisplay').textContent = frequencyLabels[inputs.salaryFrequency] || inputs.salaryFrequency;
         
-        // Handle withdrawal type selection
-        const withdrawalTypeSelect = document.getElementById('withdrawalType');
-        const withdrawalYearsGroup = document.getElementById('withdrawalYearsGroup');
-        const withdrawalTotalLabel = document.getElementById('withdrawalTotalLabel');
-        
-        if (withdrawalTypeSelect) {
-            withdrawalTypeSelect.addEventListener('change', (e) => {
-                if (e.target.value === 'distributed') {
-                    withdrawalYearsGroup.style.display = 'block';
-                    withdrawalTotalLabel.textContent = 'Annual Withdrawal';
-                } else {
-                    withdrawalYearsGroup.style.display = 'none';
-                    withdrawalTotalLabel.textContent = 'Total Withdrawal';
-                }
-                this.calculate(); // Recalculate when withdrawal type changes
-            });
-        }
-        
-        const withdrawalYearsInput = document.getElementById('withdrawalYears');
-        if (withdrawalYearsInput) {
-            withdrawalYearsInput.addEventListener('change', () => {
-                this.calculate(); // Recalculate when withdrawal years change
-            });
-        }
-
         // Update investment breakdown
         document.getElementById('totalTrad401kInvestment').textContent = FinancialCalculator.formatCurrency(with401K.trad401kContribution);
         document.getElementById('totalRoth401kInvestment').textContent = FinancialCalculator.formatCurrency(with401K.roth401kContribution);
+        document.getElementById('totalAfterTax401kInvestment').textContent = FinancialCalculator.formatCurrency(with401K.afterTax401kContribution);
         document.getElementById('totalRothIRAInvestment').textContent = FinancialCalculator.formatCurrency(with401K.rothIRAContribution);
+        document.getElementById('totalHsaInvestment').textContent = FinancialCalculator.formatCurrency(with401K.employeeHsaContribution);
         document.getElementById('totalAdditionalBrokerage').textContent = FinancialCalculator.formatCurrency(with401K.additionalBrokerage || 0);
         
-        const totalInvestment = with401K.trad401kContribution + with401K.roth401kContribution + with401K.rothIRAContribution + (with401K.additionalBrokerage || 0);
+        const totalInvestment = with401K.trad401kContribution + with401K.roth401kContribution + with401K.afterTax401kContribution + with401K.rothIRAContribution + with401K.employeeHsaContribution + (with401K.additionalBrokerage || 0);
         document.getElementById('totalAnnualInvestment').textContent = FinancialCalculator.formatCurrency(totalInvestment);
     }
 }
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const cli = fileURLToPath(new URL('../cli.js', import.meta.url));
+const fixture = fileURLToPath(new URL('./fixtures/scenario.json', import.meta.url));
+const state = JSON.parse(readFileSync(fixture, 'utf8'));
+
+const run = (...args) => spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8' });
+const writeState = contents => {
+    const file = join(mkdtempSync(join(tmpdir(), 'cli-test-')), 'scenario.json');
+    writeFileSync(file, JSON.stringify(contents));
+    return file;
+};
+
+test('--format json prints the report', () => {
+    const { status, stdout } = run(fixture, '--format', 'json');
+    const report = JSON.parse(stdout);
+
+    assert.equal(status, 0);
+    assert.deepEqual(report.inputs, state);
+    assert.equal(report.ledger.length, 30);
+    assert.ok(report.sections.some(section => section.title.startsWith('Future Value')));
+});
+
+test('the default table format prints each section', () => {
+    const { status, stdout } = run(fixture);
+
+    assert.equal(status, 0);
+    assert.match(stdout, /^Annual Financial Flow/m);
+    assert.match(stdout, /7,583,811\.84/);
+});
+
+test('an exported report is accepted in place of a state', () => {
+    const report = JSON.parse(run(fixture, '--format', 'json').stdout);
+    assert.equal(run(writeState(report)).status, 0);
+});
+
+test('a scenario with a missing field exits non-zero', () => {
+    const { grossSalary, ...fields } = state.fields;
+    const { status, stderr } = run(writeState({ ...state, fields }));
+
+    assert.notEqual(status, 0);
+    assert.match(stderr, /missing grossSalary/);
+});
+
+test('a scenario from another version exits non-zero', () => {
+    const { status, stderr } = run(writeState({ ...state, version: 2 }));
+
+    assert.notEqual(status, 0);
+    assert.match(stderr, /version 2/);
+});
+
+test('an unknown format exits non-zero', () => {
+    assert.notEqual(run(fixture, '--format', 'xml').status, 0);
+});
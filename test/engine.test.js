@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { runScenario, toScenarioInputs } from '../engine.js';
+
+const state = JSON.parse(readFileSync(new URL('./fixtures/scenario.json', import.meta.url), 'utf8'));
+
+test('runScenario reproduces the default scenario', () => {
+    const results = runScenario(toScenarioInputs(state));
+
+    assert.equal(results.with401K.totalFutureValue.toFixed(2), '7583811.84');
+    assert.equal(results.no401K.totalFutureValue.toFixed(2), '5973024.19');
+    assert.equal(results.with401K.taxes.total.toFixed(2), '25525.14');
+    assert.equal(results.no401K.taxes.total.toFixed(2), '32724.14');
+    assert.equal(results.taxSavings.toFixed(2), '7199.00');
+    assert.equal(results.withdrawalTaxes.lumpSum.net.toFixed(2), '5409965.74');
+});
+
+test('runScenario returns the ledger, drawdown and no simulation for fixed returns', () => {
+    const results = runScenario(toScenarioInputs(state));
+
+    assert.equal(results.ledgerRows.length, 30);
+    assert.deepEqual(results.ledgerRows.map(row => row.age).slice(0, 2), [35, 36]);
+    assert.equal(results.drawdown.selected.strategy, 'bracketFilling');
+    assert.equal(results.simulation, null);
+});
+
+test('runScenario simulates when a return model is selected', () => {
+    const inputs = toScenarioInputs({ ...state, fields: { ...state.fields, returnModel: 'monteCarlo', simulations: '200' } });
+    const { simulation } = runScenario(inputs);
+
+    assert.equal(simulation.historical, false);
+    assert.equal(simulation.results.paths, 200);
+});
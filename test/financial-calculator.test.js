@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { FinancialCalculator, ScenarioRunner, runJob, toScenarioInputs } from '../engine.js';
+
+const state = JSON.parse(readFileSync(new URL('./fixtures/scenario.json', import.meta.url), 'utf8'));
+const inputsWith = fields => toScenarioInputs({ ...state, fields: { ...state.fields, ...fields } });
+
+// First-year take-home at a contribution % with everything else as entered
+const takeHomeAt = (inputs, contributionPercent, target) => FinancialCalculator.calculate401KScenario(
+    inputs.grossSalary, contributionPercent, inputs.employerPlan, inputs.investmentReturn, inputs.years,
+    { ...ScenarioRunner.getScenarioOptions(inputs), targetTakeHome: target }
+).discretionaryIncome;
+
+test('the take-home solver counts after-tax 401K contributions', () => {
+    const inputs = inputsWith({ afterTax401k: '8000', roth401kMax: '0' });
+    const percent = FinancialCalculator.findMaxContributionForTarget(inputs, 55000);
+
+    assert.ok(percent > 0 && percent < 23, `solved ${percent}%`);
+    assert.ok(takeHomeAt(inputs, percent, 55000) >= 55000 - 1);
+    assert.ok(takeHomeAt(inputs, percent + 0.5, 55000) < 55000);
+});
+
+test('calculate401KScenario reads its scenario from the options object', () => {
+    const inputs = inputsWith({});
+    const scenario = FinancialCalculator.calculate401KScenario(
+        inputs.grossSalary, inputs.contributionPercent, inputs.employerPlan, inputs.investmentReturn, inputs.years,
+        ScenarioRunner.getScenarioOptions(inputs)
+    );
+
+    assert.equal(scenario.roth401kContribution, 0);
+    assert.equal(scenario.rothIRAContribution, 7000);
+    assert.equal(scenario.totalFutureValue.toFixed(2), '7583811.84');
+});
+
+test('the take-home solver counts payroll HSA contributions alongside after-tax 401K dollars', () => {
+    const withoutHsa = inputsWith({ afterTax401k: '8000', roth401kMax: '0' });
+    const inputs = inputsWith({ afterTax401k: '8000', roth401kMax: '0', hsaCoverage: 'self', hsaContribution: '4150' });
+    const percent = FinancialCalculator.findMaxContributionForTarget(inputs, 55000);
+
+    assert.ok(percent < FinancialCalculator.findMaxContributionForTarget(withoutHsa, 55000));
+    assert.ok(takeHomeAt(inputs, percent, 55000) >= 55000 - 1);
+    assert.ok(takeHomeAt(inputs, percent + 0.5, 55000) < 55000);
+});
+
+test('the take-home solver returns 0% when the target is out of reach', () => {
+    const inputs = inputsWith({ hsaCoverage: 'self', hsaContribution: '4150' });
+    assert.equal(FinancialCalculator.findMaxContributionForTarget(inputs, 100000), 0);
+});
+
+test('the worker runs the take-home solver and reports the take-home at 0%', () => {
+    const inputs = inputsWith({ afterTax401k: '8000', roth401kMax: '0' });
+    const result = runJob({ type: 'solveTakeHome', inputs, target: 55000 });
+
+    assert.equal(result.contributionPercent, FinancialCalculator.findMaxContributionForTarget(inputs, 55000));
+    assert.equal(result.takeHomeAtZero, takeHomeAt(inputs, 0, 55000));
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GoalSolver, GOAL_MAX_RETIREMENT_AGE, TaxCalculator, toScenarioInputs } from '../engine.js';
+
+const state = JSON.parse(readFileSync(new URL('./fixtures/scenario.json', import.meta.url), 'utf8'));
+const inputs = toScenarioInputs(state);
+
+test('solves for the lowest contribution % that reaches a balance goal', () => {
+    const result = GoalSolver.solve(inputs, 'balance', 3300000, 'contribution');
+
+    assert.equal(result.reached, true);
+    assert.equal(result.contributionPercent, 7.3);
+    assert.ok(result.value >= 3300000);
+    // A tenth of a percent less falls short
+    const below = GoalSolver.measure({ ...inputs, contributionPercent: 7.2 }, 'balance');
+    assert.ok(below.value < 3300000);
+});
+
+test('reports a contribution goal beyond the employee limit as not achievable', () => {
+    const result = GoalSolver.solve(inputs, 'balance', 9000000, 'contribution');
+    const limit = TaxCalculator.getLimits(inputs.taxProfile).employee401k;
+
+    assert.equal(result.reached, false);
+    assert.equal(result.contributionPercent, 20.6);
+    assert.equal(result.scenario.trad401kContribution + result.scenario.roth401kContribution, limit);
+    assert.ok(result.value < 9000000);
+});
+
+test('solves for the earliest retirement age that reaches a balance goal', () => {
+    const result = GoalSolver.solve(inputs, 'balance', 4000000, 'retirementAge');
+
+    assert.equal(result.reached, true);
+    assert.equal(result.retirementAge, 67);
+    assert.ok(result.value >= 4000000);
+    const earlier = GoalSolver.measure({ ...inputs, retirementAge: 66, years: 66 - inputs.currentAge }, 'balance');
+    assert.ok(earlier.value < 4000000);
+});
+
+test('stops the retirement age search at the age cap when the goal is out of reach', () => {
+    const result = GoalSolver.solve(inputs, 'balance', 90000000, 'retirementAge');
+
+    assert.equal(result.reached, false);
+    assert.equal(result.retirementAge, GOAL_MAX_RETIREMENT_AGE);
+    assert.equal(GOAL_MAX_RETIREMENT_AGE, 80);
+});
+
+test('an income goal already met at 0% needs no contribution', () => {
+    const result = GoalSolver.solve(inputs, 'income', 150000, 'contribution');
+
+    assert.equal(result.reached, true);
+    assert.equal(result.contributionPercent, 0);
+});
+
+test('finds an income goal that is reached below the employee limit but not at it', () => {
+    // Income peaks near 13% and falls off towards the limit
+    const atLimit = GoalSolver.measure({ ...inputs, contributionPercent: 20.6 }, 'income');
+    assert.ok(atLimit.value < 284800);
+
+    const result = GoalSolver.solve(inputs, 'income', 284800, 'contribution');
+    assert.equal(result.reached, true);
+    assert.ok(result.value >= 284800);
+    assert.ok(result.contributionPercent < 13);
+    const below = GoalSolver.measure({ ...inputs, contributionPercent: result.contributionPercent - 0.1 }, 'income');
+    assert.ok(below.value < 284800);
+});
+
+test('reports the peak income when no contribution reaches an income goal', () => {
+    const result = GoalSolver.solve(inputs, 'income', 300000, 'contribution');
+
+    assert.equal(result.reached, false);
+    assert.ok(result.contributionPercent > 13 && result.contributionPercent < 13.5);
+    assert.ok(result.value > GoalSolver.measure({ ...inputs, contributionPercent: 20.6 }, 'income').value);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MonteCarloSimulator } from '../engine.js';
+
+// Ten years of 20,000 contributions, then fifteen years of 25,000 withdrawals: roughly even odds of running out
+const flows = Array(10).fill(20000);
+const simulate = seed => MonteCarloSimulator.run(flows, 25000, 15, { meanReturn: 6, volatility: 15, simulations: 300, seed });
+
+test('the same seed reproduces the percentiles and depletion probability', () => {
+    const first = simulate(42);
+    const second = simulate(42);
+
+    assert.deepEqual(second.retirementBalance, first.retirementBalance);
+    assert.deepEqual(second.endingBalance, first.endingBalance);
+    assert.deepEqual(second.bands, first.bands);
+    assert.equal(second.depletionProbability, first.depletionProbability);
+});
+
+test('a different seed gives different results', () => {
+    const first = simulate(42);
+    const other = simulate(7);
+
+    assert.notDeepEqual(other.retirementBalance, first.retirementBalance);
+    assert.notDeepEqual(other.endingBalance, first.endingBalance);
+    assert.notEqual(other.depletionProbability, first.depletionProbability);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { FinancialCalculator, ScenarioRunner, StrategyOptimizer, TaxCalculator, runScenario, toScenarioInputs } from '../engine.js';
+
+const state = JSON.parse(readFileSync(new URL('./fixtures/scenario.json', import.meta.url), 'utf8'));
+const inputsWith = fields => toScenarioInputs({ ...state, fields: { ...state.fields, ...fields } });
+
+// The first-year scenario a strategy describes, with everything else as entered
+const scenarioFor = (inputs, strategy) => FinancialCalculator.calculate401KScenario(
+    inputs.grossSalary, strategy.contributionPercent, inputs.employerPlan, inputs.investmentReturn, inputs.years,
+    {
+        ...ScenarioRunner.getScenarioOptions(inputs),
+        roth401kMax: strategy.roth401kAmount,
+        rothIRA: { ...FinancialCalculator.normalizeRothIRA(inputs.rothIRA), amount: strategy.rothIRAAmount }
+    }
+);
+
+// 23,000 is exactly 10% of 230,000, so the grid's top contribution % sits on the 402(g) limit.
+// A large after-tax election makes the 415(c) limit bind too.
+const inputs = inputsWith({ grossSalary: '230000', afterTax401k: '60000', targetPerPay: '1500' });
+const limits = TaxCalculator.getLimits(inputs.taxProfile);
+const result = StrategyOptimizer.optimize(inputs, 'terminalWealth');
+
+test('optimized strategies stay within the 402(g) employee deferral limit', () => {
+    assert.ok(result.strategies.length > 0);
+    result.strategies.forEach(strategy => {
+        assert.ok(strategy.allocation.trad401k + strategy.allocation.roth401k <= limits.employee401k);
+    });
+});
+
+test('optimized strategies stay within the 415(c) annual additions limit', () => {
+    result.strategies.forEach(strategy => {
+        const scenario = scenarioFor(inputs, strategy);
+        const additions = scenario.trad401kContribution + scenario.roth401kContribution + scenario.employerContribution + scenario.afterTax401kContribution;
+        assert.ok(additions <= limits.total401k, `${additions} in additions`);
+    });
+});
+
+test('optimized strategies meet the take-home target', () => {
+    result.strategies.forEach(strategy => {
+        assert.equal(strategy.feasible, true);
+        assert.ok(scenarioFor(inputs, strategy).discretionaryIncome >= inputs.targetAnnualTakeHome - 1);
+    });
+});
+
+test('a contribution % exactly on the employee limit is evaluated without exceeding it', () => {
+    const atLimit = StrategyOptimizer.evaluate(inputs, 'terminalWealth', 10, 0, 0, true);
+
+    assert.equal(atLimit.allocation.trad401k, limits.employee401k);
+    assert.equal(atLimit.allocation.roth401k, 0);
+    // The after-tax election is cut back to whatever room the deferral and employer dollars leave
+    const scenario = scenarioFor(inputs, atLimit);
+    assert.equal(scenario.trad401kContribution + scenario.employerContribution + scenario.afterTax401kContribution, limits.total401k);
+});
+
+test('the optimizer needs a take-home target', () => {
+    assert.equal(StrategyOptimizer.optimize(inputsWith({ targetPerPay: '' }), 'terminalWealth'), null);
+});
+
+test('distributed withdrawals are scored from the drawdown the page shows', () => {
+    const distributed = inputsWith({ withdrawalType: 'distributed' });
+    const current = StrategyOptimizer.evaluate(distributed, 'lifetimeTaxes', distributed.contributionPercent, distributed.roth401kMax, 7000, true);
+    const { with401K, drawdown } = runScenario(distributed);
+    const workingTaxes = with401K.ledger.reduce((sum, entry) => sum + entry.taxes, 0);
+
+    assert.equal(drawdown.selected.strategy, 'bracketFilling');
+    assert.equal(current.metrics.lifetimeTaxes.toFixed(2), (workingTaxes + drawdown.selected.lifetimeTaxes).toFixed(2));
+    assert.equal(current.metrics.terminalWealth.toFixed(2), drawdown.conversionPlan.baseline.heirValue.toFixed(2));
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaxCalculator, TaxYearData } from '../engine.js';
+
+const profile = { taxYear: 2024, filingStatus: 'single' };
+
+test('federal tax follows the 2024 single brackets', () => {
+    // 10% of 11,600 + 12% of 35,550 + 22% of 52,850
+    assert.equal(TaxCalculator.calculateFederalTax(100000, profile), 17053);
+    assert.equal(TaxCalculator.calculateFederalTax(0, profile), 0);
+});
+
+test('state tax handles progressive, flat and no-income-tax states', () => {
+    assert.equal(TaxCalculator.calculateStateTax(10000, { ...profile, state: 'CA' }), 100);
+    assert.equal(TaxCalculator.calculateStateTax(50000, { ...profile, state: 'IL' }), 2475);
+    assert.equal(TaxCalculator.calculateStateTax(50000, { ...profile, state: 'TX' }), 0);
+});
+
+test('payroll taxes cap Social Security at the wage base and add state programs', () => {
+    const wages = TaxCalculator.calculateWageBases(250000, {}, { ...profile, state: 'TX' });
+    const payroll = TaxCalculator.calculatePayrollTaxes(wages, { ...profile, state: 'TX' });
+
+    assert.equal(payroll.socialSecurity.toFixed(2), (168600 * 0.062).toFixed(2));
+    assert.equal(payroll.medicare.toFixed(2), (250000 * 0.0145).toFixed(2));
+    assert.equal(payroll.additionalMedicare.toFixed(2), (50000 * 0.009).toFixed(2));
+    assert.equal(payroll.statePayroll, 0);
+
+    const njWages = TaxCalculator.calculateWageBases(250000, {}, { ...profile, state: 'NJ' });
+    const nj = TaxCalculator.calculatePayrollTaxes(njWages, { ...profile, state: 'NJ' });
+    assert.deepEqual(nj.statePrograms.map(program => program.name), ['NJ FLI']);
+    assert.equal(nj.statePayroll.toFixed(2), (161400 * 0.0009).toFixed(2));
+});
+
+test('state payroll programs follow each year\'s tables', () => {
+    const wageBase = (state, taxYear, name) => TaxYearData.getStateRules(state, taxYear, 0.025).payrollTaxes.find(program => program.name === name).wageBase;
+
+    assert.equal(wageBase('NJ', 2023, 'NJ FLI'), 156800);
+    assert.equal(wageBase('NJ', 2024, 'NJ FLI'), 161400);
+    assert.equal(wageBase('NJ', 2026, 'NJ FLI'), 171100);
+    assert.equal(wageBase('MA', 2025, 'MA PFML'), 176100);
+    assert.equal(wageBase('WA', 2026, 'WA PFML'), 184500);
+    assert.equal(TaxYearData.getStateRules('NC', 2026).rate, 0.0399);
+    assert.equal(TaxYearData.getStateRules('GA', 2023).type, 'progressive');
+    assert.equal(TaxYearData.getStateRules('GA', 2025).type, 'flat');
+});
+
+test('state program wage bases are indexed from their latest table in projected years', () => {
+    const wageBase = (state, taxYear, name) => TaxYearData.getStateRules(state, taxYear, 0.025).payrollTaxes.find(program => program.name === name).wageBase;
+
+    assert.equal(wageBase('NJ', 2034, 'NJ FLI'), Math.round((171100 * 1.025 ** 8) / 100) * 100);
+    // Indexed from the 2026 table, the 2027 WA PFML base stays above the 2026 Social Security base
+    assert.ok(wageBase('WA', 2027, 'WA PFML') > 184500);
+    assert.equal(wageBase('WA', 2034, 'WA Cares'), undefined);
+    assert.equal(TaxYearData.getStateRules('NY', 2034, 0.025).payrollTaxes[0].max, 31.20);
+});
+
+test('traditional 401K deferrals reduce income-tax wages but not FICA wages', () => {
+    const wages = TaxCalculator.calculateWageBases(100000, { traditional401k: 10000 }, { ...profile, state: 'TX' });
+    const payroll = TaxCalculator.calculatePayrollTaxes(wages, { ...profile, state: 'TX' });
+
+    assert.equal(payroll.medicare.toFixed(2), (100000 * 0.0145).toFixed(2));
+    assert.equal(TaxCalculator.calculateIncomeTaxes(wages, { ...profile, state: 'TX' }).federal, TaxCalculator.calculateFederalTax(90000 - 14600, profile));
+});
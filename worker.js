@@ -0,0 +1,22 @@
+// Runs engine jobs off the main thread. Messages in are { id, job } (see runJob); messages out are
+// { id, type: 'progress', done, total }, { id, type: 'result', result } or { id, type: 'error', message }.
+import { runJob } from './engine.js';
+
+self.addEventListener('message', ({ data }) => {
+    const { id, job } = data;
+    // Progress is posted once per whole percent so long jobs don't flood the page with messages
+    let reported = -1;
+    const onProgress = (done, total) => {
+        const percent = Math.floor((done / total) * 100);
+        if (percent !== reported) {
+            reported = percent;
+            self.postMessage({ id, type: 'progress', done, total });
+        }
+    };
+
+    try {
+        self.postMessage({ id, type: 'result', result: runJob(job, onProgress) });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+});